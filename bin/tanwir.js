@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * tanwir admin CLI entry point (see cli/index.js)
+ * 
+ * Usage:
+ * tanwir <command> [arguments] [--dry-run] [--yes] [--json]
+ * npm run cli -- <command> [arguments]
+ */
+
+// Keep stdout clean for JSON output; errors are still logged to stderr
+if (process.argv.includes("--json") && !process.env.LOG_LEVEL) {
+  process.env.LOG_LEVEL = "ERROR";
+}
+
+const { runCli } = await import("../cli/index.js");
+
+runCli(process.argv.slice(2))
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,31 @@
+import { backfillCourseRefs } from "../../services/maintenance.js";
+
+/**
+ * tanwir backfill-course-refs: set courseRef on courses stored without one
+ */
+export const backfillCourseRefsCommand = {
+  name: "backfill-course-refs",
+  summary: "Set courseRef on stored courses that do not have one",
+  usage: "backfill-course-refs [--dry-run] [--yes]",
+  options: {},
+
+  async run({ flags, getDb, confirm }) {
+    const db = getDb();
+    let result = await backfillCourseRefs(db, { dryRun: true });
+
+    if (!flags.dryRun && result.coursesUpdated > 0) {
+      await confirm(`This will set courseRef on ${result.coursesUpdated} courses for ${result.usersUpdated} students`);
+      result = await backfillCourseRefs(db);
+    }
+
+    return {
+      result,
+      text: [
+        `${flags.dryRun ? "Would set" : "Set"} courseRef on ${result.coursesUpdated} courses for ${result.usersUpdated} of ${result.usersScanned} students`,
+        ...result.unknownCourses.map(
+          ({ docId, courseId }) => `  unknown course type: ${courseId} (authorizedUsers/${docId})`
+        ),
+      ].join("\n"),
+    };
+  },
+};
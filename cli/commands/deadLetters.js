@@ -0,0 +1,154 @@
+import fs from "fs/promises";
+import {
+  DEAD_LETTER_STATUSES,
+  dismissDeadLetter,
+  getDeadLetter,
+  listDeadLetters,
+} from "../../services/deadLetters.js";
+import { replayDeadLetter } from "../../services/orderSync.js";
+import { cliError, EXIT_CODES } from "../errors.js";
+
+const ACTIONS = ["list", "show", "replay", "dismiss"];
+
+/**
+ * Read the fixes for a replay from a JSON file
+ * @param {string} path - File with { order, lineItem } fields to override
+ * @returns {Promise<Object>}
+ */
+async function readFix(path) {
+  try {
+    const fix = JSON.parse(await fs.readFile(path, "utf8"));
+    if (!fix || typeof fix !== "object") throw new Error("expected an object");
+    return fix;
+  } catch (error) {
+    throw cliError(`Invalid --fix file ${path}: ${error.message}`, EXIT_CODES.USAGE);
+  }
+}
+
+/**
+ * tanwir dead-letters: inspect, replay and dismiss orders the sync could not map or save
+ */
+export const deadLettersCommand = {
+  name: "dead-letters",
+  summary: "List, show, replay or dismiss orders the sync rejected",
+  usage: [
+    "dead-letters list [--status <status>] | show <id> | replay <id> [--fix <file>] | dismiss <id> [--note <text>]",
+    "",
+    "  list         List dead letters, most recently seen first",
+    "  show         Show a dead letter with its Squarespace payload",
+    "  replay       Map and save the order again; --dry-run shows what would change",
+    "  dismiss      Close a dead letter without replaying it",
+    "  --status     open (default), replayed, dismissed or all",
+    "  --limit, -n  Number of dead letters to list (default: 50)",
+    "  --fix        JSON file of { order, lineItem } fields to override before replaying",
+    "  --note       Why the dead letter was dismissed",
+  ].join("\n"),
+  options: {
+    status: { type: "string" },
+    limit: { type: "string", short: "n" },
+    fix: { type: "string" },
+    note: { type: "string" },
+  },
+
+  async run({ args, options, flags, getDb, confirm }) {
+    const [action = "list", id] = args;
+    if (!ACTIONS.includes(action)) {
+      throw cliError(`Unknown dead-letters action "${action}"`, EXIT_CODES.USAGE);
+    }
+    if (action !== "list" && !id) {
+      throw cliError(`dead-letters ${action} needs a dead letter ID`, EXIT_CODES.USAGE);
+    }
+
+    const db = getDb();
+
+    if (action === "list") {
+      const status = options.status || "open";
+      if (status !== "all" && !DEAD_LETTER_STATUSES.includes(status)) {
+        throw cliError(`Unknown status "${status}"`, EXIT_CODES.USAGE);
+      }
+      const limit = options.limit ? parseInt(options.limit) : 50;
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw cliError(`Invalid limit "${options.limit}"`, EXIT_CODES.USAGE);
+      }
+
+      const deadLetters = await listDeadLetters(db, { status, limit });
+      return {
+        result: deadLetters,
+        text:
+          deadLetters.length === 0
+            ? `No ${status === "all" ? "" : `${status} `}dead letters`
+            : deadLetters
+                .map(({ id, status, orderNumber, productName, stage, reason, occurrences, lastSeenAt }) =>
+                  [
+                    id,
+                    status,
+                    `order ${orderNumber}`,
+                    productName || "(whole order)",
+                    `${stage}: ${reason}`,
+                    `seen ${occurrences}x, last ${lastSeenAt}`,
+                  ].join("  ")
+                )
+                .join("\n"),
+      };
+    }
+
+    const deadLetter = await getDeadLetter(db, id);
+    if (!deadLetter) throw cliError(`Dead letter ${id} not found`, EXIT_CODES.NOT_FOUND);
+
+    if (action === "show") {
+      return {
+        result: deadLetter,
+        text: [
+          `deadLetters/${deadLetter.id}`,
+          `  status: ${deadLetter.status}`,
+          `  order: ${deadLetter.orderNumber} (${deadLetter.orderId})`,
+          `  line item: ${deadLetter.lineItemId || "(whole order)"}${deadLetter.productName ? ` ${deadLetter.productName}` : ""}`,
+          `  rejected at: ${deadLetter.stage}: ${deadLetter.reason}`,
+          ...(deadLetter.violations || []).map(({ field, rule, message }) => `    ${field} (${rule}): ${message}`),
+          `  source: ${deadLetter.source}`,
+          `  seen: ${deadLetter.occurrences}x, first ${deadLetter.firstSeenAt}, last ${deadLetter.lastSeenAt}`,
+          ...(deadLetter.note ? [`  note: ${deadLetter.note}`] : []),
+          "  payload:",
+          JSON.stringify(deadLetter.payload, null, 2).replace(/^/gm, "    "),
+        ].join("\n"),
+      };
+    }
+
+    if (action === "dismiss") {
+      if (deadLetter.status === "dismissed") {
+        return { result: deadLetter, text: `Dead letter ${id} is already dismissed` };
+      }
+      if (flags.dryRun) {
+        return { result: deadLetter, text: `Would dismiss dead letter ${id}` };
+      }
+      await confirm(`This will dismiss dead letter ${id} (order ${deadLetter.orderNumber})`);
+      const dismissed = await dismissDeadLetter(db, id, { note: options.note || null, by: "cli" });
+      return { result: dismissed, text: `Dismissed dead letter ${id}` };
+    }
+
+    const fix = options.fix ? await readFix(options.fix) : null;
+    if (!flags.dryRun) {
+      await confirm(`This will replay dead letter ${id} (order ${deadLetter.orderNumber})${fix ? " with fixes" : ""}`);
+    }
+    const result = await replayDeadLetter(db, id, { fix, by: "cli", dryRun: flags.dryRun }).catch((error) => {
+      throw cliError(error.message, EXIT_CODES.FAILURE);
+    });
+
+    if (result.dryRun) {
+      const { summary } = result.report;
+      return {
+        result,
+        text: result.reason
+          ? `Replay of ${id} would be rejected again (${result.reason})`
+          : `Replay of ${id} would create ${summary.studentsCreated} and update ${summary.studentsUpdated} students, adding ${summary.coursesAdded} courses`,
+      };
+    }
+    return {
+      result,
+      text: result.replayed
+        ? `Replayed dead letter ${id}`
+        : `Replay of ${id} failed, the dead letter stays open: ${result.reason}`,
+      exitCode: result.replayed ? EXIT_CODES.SUCCESS : EXIT_CODES.FAILURE,
+    };
+  },
+};
@@ -0,0 +1,79 @@
+import admin from "firebase-admin";
+import { getStudentDoc } from "../../services/students.js";
+import { listOutboxEntries } from "../../services/emailOutbox.js";
+import { isCourseActive } from "../../services/revocations.js";
+import { cliError, EXIT_CODES } from "../errors.js";
+
+/**
+ * tanwir lookup-student: show a student's document, Auth user and emails
+ */
+export const lookupStudentCommand = {
+  name: "lookup-student",
+  summary: "Show a student's details, courses, Auth user and welcome emails",
+  usage: "lookup-student <email|documentId> [--json]",
+  options: {},
+
+  async run({ args, getDb }) {
+    const [idOrEmail] = args;
+    if (!idOrEmail) throw cliError("An email or document ID is required", EXIT_CODES.USAGE);
+
+    const db = getDb();
+    const studentDoc = await getStudentDoc(db, idOrEmail);
+    if (!studentDoc) throw cliError(`No student found for ${idOrEmail}`, EXIT_CODES.NOT_FOUND);
+
+    const { studentInfo = {}, courses = [], authUid = null } = studentDoc.data();
+    let authUser = null;
+    if (authUid) {
+      try {
+        const userRecord = await admin.auth().getUser(authUid);
+        authUser = {
+          uid: userRecord.uid,
+          email: userRecord.email,
+          displayName: userRecord.displayName || null,
+          disabled: Boolean(userRecord.disabled),
+        };
+      } catch (authError) {
+        if (authError.code !== "auth/user-not-found") throw authError;
+      }
+    }
+    const emails = studentInfo.email
+      ? await listOutboxEntries(db, { email: studentInfo.email })
+      : [];
+
+    const result = {
+      docId: studentDoc.id,
+      studentInfo,
+      courses,
+      authUid,
+      authUser,
+      welcomeEmails: emails.map(({ id, status, passwordMode, attempts, lastError }) => ({
+        id,
+        status,
+        passwordMode,
+        attempts,
+        lastError,
+      })),
+    };
+
+    return {
+      result,
+      text: [
+        `authorizedUsers/${studentDoc.id}`,
+        `  name: ${`${studentInfo.firstName || ""} ${studentInfo.lastName || ""}`.trim()}`,
+        `  email: ${studentInfo.email || ""}`,
+        `  auth user: ${
+          authUser ? `${authUser.uid}${authUser.disabled ? " (disabled)" : ""}` : authUid ? `${authUid} (missing)` : "none"
+        }`,
+        `  courses (${courses.length}):`,
+        ...courses.map(
+          (course) =>
+            `    ${course.courseId} ${course.courseName || course.courseType}${isCourseActive(course) ? "" : ` [revoked: ${course.revokedReason}]`}`
+        ),
+        `  welcome emails (${result.welcomeEmails.length}):`,
+        ...result.welcomeEmails.map(
+          ({ id, status, lastError }) => `    ${id} ${status}${lastError ? `: ${lastError}` : ""}`
+        ),
+      ].join("\n"),
+    };
+  },
+};
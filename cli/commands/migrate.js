@@ -0,0 +1,100 @@
+import {
+  applyMigrations,
+  listMigrations,
+  rollbackMigration,
+} from "../../services/migrations.js";
+import { cliError, EXIT_CODES } from "../errors.js";
+
+const ACTIONS = ["list", "apply", "rollback"];
+
+/**
+ * tanwir migrate: list, apply and roll back data migrations (see migrations/)
+ */
+export const migrateCommand = {
+  name: "migrate",
+  summary: "List, apply or roll back data migrations",
+  usage: [
+    "migrate list | apply [--to <migration>] | rollback [--dry-run] [--yes]",
+    "",
+    "  list         Show every migration and whether it has been applied",
+    "  apply        Apply pending migrations in order; --to stops after the given one",
+    "  rollback     Roll back the most recently applied migration",
+    "  --page-size  Documents migrated per batch (default: 200)",
+  ].join("\n"),
+  options: {
+    to: { type: "string" },
+    "page-size": { type: "string" },
+  },
+
+  async run({ args, options, flags, getDb, confirm }) {
+    const [action = "list"] = args;
+    if (!ACTIONS.includes(action)) {
+      throw cliError(`Unknown migrate action "${action}"`, EXIT_CODES.USAGE);
+    }
+
+    const pageSize = options["page-size"] ? parseInt(options["page-size"]) : undefined;
+    if (pageSize !== undefined && !(pageSize > 0 && pageSize <= 400)) {
+      throw cliError("--page-size must be between 1 and 400", EXIT_CODES.USAGE);
+    }
+
+    const db = getDb();
+
+    if (action === "list") {
+      const migrations = await listMigrations(db);
+      const width = Math.max(0, ...migrations.map((migration) => migration.name.length));
+      return {
+        result: migrations,
+        text: migrations
+          .map((migration) => {
+            const progress = migration.checkpoint
+              ? ` (${migration.direction} interrupted after ${migration.checkpoint.lastDocId})`
+              : "";
+            return `${migration.status.padEnd(11)} ${migration.name.padEnd(width)}  ${migration.description}${progress}`;
+          })
+          .join("\n") || "No migrations",
+      };
+    }
+
+    if (action === "apply") {
+      const preview = await applyMigrations(db, { to: options.to, dryRun: true, pageSize }).catch((error) => {
+        throw cliError(error.message, EXIT_CODES.NOT_FOUND);
+      });
+
+      let results = preview;
+      if (!flags.dryRun && preview.length > 0) {
+        await confirm(`This will apply ${preview.map((run) => run.name).join(", ")}`);
+        results = await applyMigrations(db, { to: options.to, pageSize });
+      }
+
+      return {
+        result: results,
+        text: results.length > 0
+          ? results.map((run) => describe(run, flags.dryRun)).join("\n")
+          : "No pending migrations",
+      };
+    }
+
+    const preview = await rollbackMigration(db, { dryRun: true, pageSize }).catch((error) => {
+      throw cliError(error.message, EXIT_CODES.FAILURE);
+    });
+    if (!preview) return { result: null, text: "No applied migrations to roll back" };
+
+    let result = preview;
+    if (!flags.dryRun) {
+      await confirm(`This will roll back ${preview.name}`);
+      result = await rollbackMigration(db, { pageSize });
+    }
+    return { result, text: describe(result, flags.dryRun) };
+  },
+};
+
+/**
+ * Describe a migration run for text output
+ * @param {Object} run - Result of a migration run
+ * @param {boolean} dryRun - Whether the run was only previewed
+ * @returns {string}
+ */
+function describe(run, dryRun) {
+  const resumed = run.resumedFrom && !dryRun ? `, resumed after ${run.resumedFrom}` : "";
+  return `${run.name} (${run.direction}): ${dryRun ? "would update" : "updated"} ${run.docsUpdated} of ${run.docsScanned} documents${resumed}`;
+}
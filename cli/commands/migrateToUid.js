@@ -0,0 +1,37 @@
+import { migrateEmailDocsToUid } from "../../services/uidMigration.js";
+import { EXIT_CODES } from "../errors.js";
+
+/**
+ * tanwir migrate-to-uid: move email-keyed student documents to the Auth UID
+ */
+export const migrateToUidCommand = {
+  name: "migrate-to-uid",
+  summary: "Move email-keyed student documents to their Firebase Auth UID",
+  usage: "migrate-to-uid [--dry-run] [--yes]",
+  options: {},
+
+  async run({ flags, getDb, confirm }) {
+    const db = getDb();
+    let result = await migrateEmailDocsToUid(db, { dryRun: true });
+    const moves = result.moved.length + result.merged.length;
+
+    if (!flags.dryRun && moves > 0) {
+      await confirm(`This will move ${result.moved.length} and merge ${result.merged.length} student documents`);
+      result = await migrateEmailDocsToUid(db);
+    }
+
+    const verb = flags.dryRun ? "Would move" : "Moved";
+    return {
+      result,
+      text: [
+        `${verb} ${result.moved.length} documents, ${flags.dryRun ? "would merge" : "merged"} ${result.merged.length}, skipped ${result.skipped.length}, ${result.failed.length} failed`,
+        ...[...result.moved, ...result.merged].map(
+          ({ fromId, toId, action, coursesAdded }) => `  ${fromId} -> ${toId} (${action}, ${coursesAdded} courses)`
+        ),
+        ...result.skipped.map(({ docId, reason }) => `  skipped ${docId}: ${reason}`),
+        ...result.failed.map(({ docId, error }) => `  failed ${docId}: ${error}`),
+      ].join("\n"),
+      exitCode: result.failed.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS,
+    };
+  },
+};
@@ -0,0 +1,45 @@
+import { moveStudentDoc } from "../../services/uidMigration.js";
+import { cliError, EXIT_CODES } from "../errors.js";
+
+/**
+ * tanwir rename-user: move a student document to a new ID
+ */
+export const renameUserCommand = {
+  name: "rename-user",
+  summary: "Move a student document to a new ID, merging with an existing one",
+  usage: "rename-user <currentId> <newId> [--dry-run] [--yes]",
+  options: {},
+
+  async run({ args, flags, getDb, confirm }) {
+    const [fromId, toId] = args;
+    if (!fromId || !toId) {
+      throw cliError("Both the current and the new document ID are required", EXIT_CODES.USAGE);
+    }
+
+    const db = getDb();
+    const preview = await moveStudentDoc(db, fromId, toId, { dryRun: true }).catch((error) => {
+      throw cliError(error.message, EXIT_CODES.NOT_FOUND);
+    });
+    if (flags.dryRun) return { result: preview, text: describe(preview, true) };
+
+    await confirm(`This will ${preview.action} authorizedUsers/${fromId} into ${toId}`);
+    const result = await moveStudentDoc(db, fromId, toId);
+    return { result, text: describe(result, false) };
+  },
+};
+
+/**
+ * Describe a move for text output
+ * @param {Object} move - Result of moveStudentDoc
+ * @param {boolean} dryRun - Whether the move was only previewed
+ * @returns {string}
+ */
+function describe(move, dryRun) {
+  const verb = move.action === "merge" ? "merge" : "move";
+  return [
+    `${dryRun ? `Would ${verb}` : verb === "merge" ? "Merged" : "Moved"} ${move.fromId} into ${move.toId}`,
+    `  courses added: ${move.coursesAdded}`,
+    `  history entries: ${move.historyEntries}`,
+    `  references updated: ${move.referencesUpdated}`,
+  ].join("\n");
+}
@@ -0,0 +1,79 @@
+import { getStudentDoc } from "../../services/students.js";
+import {
+  listOutboxEntries,
+  processEmailOutbox,
+  resendWelcomeEmails,
+} from "../../services/emailOutbox.js";
+import { cliError, EXIT_CODES } from "../errors.js";
+
+/**
+ * tanwir resend-welcome: queue welcome emails again and send them
+ */
+export const resendWelcomeCommand = {
+  name: "resend-welcome",
+  summary: "Resend failed welcome emails, or welcome emails to specific students",
+  usage: [
+    "resend-welcome --failed | --email <email> [--email <email> ...] [--reset-password] [--dry-run] [--yes]",
+    "",
+    "  --failed          Requeue every welcome email that has permanently failed",
+    "  --email           Queue a new welcome email for this student",
+    "  --reset-password  Include a password reset link in the email",
+  ].join("\n"),
+  options: {
+    failed: { type: "boolean", default: false },
+    email: { type: "string", multiple: true, default: [] },
+    "reset-password": { type: "boolean", default: false },
+  },
+
+  async run({ options, flags, getDb, confirm }) {
+    const { failed, email: emails } = options;
+    const resetPassword = options["reset-password"];
+    if (!failed && emails.length === 0) {
+      throw cliError("Pass --failed and/or at least one --email", EXIT_CODES.USAGE);
+    }
+
+    const db = getDb();
+    const failedEntries = failed ? await listOutboxEntries(db, { status: "failed", limit: 1000 }) : [];
+    const notFound = [];
+    for (const email of emails) {
+      if (!(await getStudentDoc(db, email))) notFound.push(email.toLowerCase().trim());
+    }
+    const queuedCount = failedEntries.length + emails.length - notFound.length;
+
+    if (flags.dryRun) {
+      return {
+        result: {
+          dryRun: true,
+          failedEntries: failedEntries.map(({ id, email }) => ({ id, email })),
+          emails: emails.map((email) => email.toLowerCase().trim()).filter((email) => !notFound.includes(email)),
+          notFound,
+        },
+        text: [
+          `Would queue ${queuedCount} welcome emails`,
+          ...notFound.map((email) => `  no student found for ${email}`),
+        ].join("\n"),
+        exitCode: notFound.length > 0 ? EXIT_CODES.NOT_FOUND : EXIT_CODES.SUCCESS,
+      };
+    }
+
+    if (queuedCount > 0) {
+      await confirm(`This will send ${queuedCount} welcome emails`);
+    }
+    const queued = await resendWelcomeEmails(db, { emails, failed, resetPassword });
+    const delivery = await processEmailOutbox(db);
+
+    return {
+      result: { ...queued, delivery },
+      text: [
+        `Queued ${queued.queued} welcome emails: ${delivery.sent} sent, ${delivery.retrying} will retry, ${delivery.failed} failed`,
+        ...queued.notFound.map((email) => `  no student found for ${email}`),
+      ].join("\n"),
+      exitCode:
+        delivery.failed > 0
+          ? EXIT_CODES.FAILURE
+          : queued.notFound.length > 0
+            ? EXIT_CODES.NOT_FOUND
+            : EXIT_CODES.SUCCESS,
+    };
+  },
+};
@@ -0,0 +1,32 @@
+import { scrubStudentField } from "../../services/maintenance.js";
+import { cliError, EXIT_CODES } from "../errors.js";
+
+/**
+ * tanwir scrub-field: remove a studentInfo field from every student document
+ */
+export const scrubFieldCommand = {
+  name: "scrub-field",
+  summary: "Remove a studentInfo field (e.g. password) from every student document",
+  usage: "scrub-field <field> [--dry-run] [--yes]",
+  options: {},
+
+  async run({ args, flags, getDb, confirm }) {
+    const [field] = args;
+    if (!field) throw cliError("The studentInfo field to remove is required", EXIT_CODES.USAGE);
+
+    const db = getDb();
+    let result = await scrubStudentField(db, field, { dryRun: true }).catch((error) => {
+      throw cliError(error.message, EXIT_CODES.USAGE);
+    });
+
+    if (!flags.dryRun && result.usersUpdated > 0) {
+      await confirm(`This will remove studentInfo.${field} from ${result.usersUpdated} students`);
+      result = await scrubStudentField(db, field);
+    }
+
+    return {
+      result,
+      text: `${flags.dryRun ? "Would remove" : "Removed"} studentInfo.${field} from ${result.usersUpdated} of ${result.usersScanned} students`,
+    };
+  },
+};
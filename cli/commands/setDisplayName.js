@@ -0,0 +1,44 @@
+import { setDisplayName } from "../../services/students.js";
+import { cliError, EXIT_CODES } from "../errors.js";
+
+/**
+ * tanwir set-display-name: set a user's Firebase Auth display name
+ */
+export const setDisplayNameCommand = {
+  name: "set-display-name",
+  summary: "Set a user's display name in Firebase Auth and on their student document",
+  usage: 'set-display-name --email <email> --name "<display name>" [--dry-run] [--yes]',
+  options: {
+    email: { type: "string" },
+    name: { type: "string" },
+  },
+
+  async run({ options, flags, getDb, confirm }) {
+    const displayName = options.name?.trim();
+    if (!options.email || !displayName) {
+      throw cliError("--email and --name are required", EXIT_CODES.USAGE);
+    }
+
+    const db = getDb();
+    const preview = await setDisplayName(db, options.email, displayName, { dryRun: true });
+    if (!preview) {
+      throw cliError(`No Firebase Auth user found for ${options.email}`, EXIT_CODES.NOT_FOUND);
+    }
+
+    let result = preview;
+    if (!flags.dryRun) {
+      await confirm(`This will rename ${preview.email} to "${displayName}"`);
+      result = await setDisplayName(db, options.email, displayName);
+    }
+
+    return {
+      result,
+      text: [
+        `${flags.dryRun ? "Would set" : "Set"} display name of ${result.email} (${result.uid}): "${result.previousDisplayName || ""}" -> "${result.displayName}"`,
+        result.studentDocId
+          ? `  student document: authorizedUsers/${result.studentDocId}`
+          : "  no student document, only the Auth user is updated",
+      ].join("\n"),
+    };
+  },
+};
@@ -0,0 +1,54 @@
+import { buildTimeConfig } from "../../services/syncJobs.js";
+import { cliError, EXIT_CODES } from "../errors.js";
+
+/**
+ * tanwir sync: fetch orders from Squarespace and save them to Firestore
+ */
+export const syncCommand = {
+  name: "sync",
+  summary: "Sync Squarespace orders to Firestore",
+  usage: [
+    "sync [lookbackMinutes] | --checkpoint | --start <iso> --end <iso> [--dry-run]",
+    "",
+    "  lookbackMinutes  Sync orders modified in the last N minutes (default: 6)",
+    "  --checkpoint     Sync from the last sync checkpoint",
+    "  --start, --end   Sync orders modified in this time range",
+  ].join("\n"),
+  options: {
+    checkpoint: { type: "boolean", default: false },
+    start: { type: "string" },
+    end: { type: "string" },
+  },
+
+  async run({ args, options, flags }) {
+    let timeConfig;
+    try {
+      timeConfig = buildTimeConfig({
+        minutes: args[0],
+        checkpoint: options.checkpoint,
+        start: options.start,
+        end: options.end,
+      });
+    } catch (error) {
+      throw cliError(error.message, EXIT_CODES.USAGE);
+    }
+
+    // Loaded on demand so other commands do not set up the server's scheduler
+    const { runScheduledTask } = await import("../../index.js");
+    const result = await runScheduledTask(timeConfig, { dryRun: flags.dryRun, trigger: "cli" });
+
+    if (flags.dryRun) {
+      return { result: result.report, text: JSON.stringify(result.report, null, 2) };
+    }
+
+    const failed = result.studentsFailed || [];
+    return {
+      result,
+      text: [
+        `Processed ${result.ordersProcessed} orders: ${result.studentsSucceeded} students saved, ${failed.length} failed, ${result.coursesRevoked || 0} courses revoked`,
+        ...failed.map(({ email, stage, error }) => `  ${email} (${stage}): ${error}`),
+      ].join("\n"),
+      exitCode: failed.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.SUCCESS,
+    };
+  },
+};
@@ -0,0 +1,76 @@
+import { getSyncRun, listSyncRuns } from "../../services/syncRuns.js";
+import { cliError, EXIT_CODES } from "../errors.js";
+
+/**
+ * tanwir sync-runs: list recent sync runs, or show one with its errors
+ */
+export const syncRunsCommand = {
+  name: "sync-runs",
+  summary: "List recent sync runs, or show one run",
+  usage: [
+    "sync-runs [runId] [--limit <n>] [--json]",
+    "",
+    "  runId        Show one run with its counters and errors",
+    "  --limit, -n  Number of recent runs to list (default: 10)",
+  ].join("\n"),
+  options: {
+    limit: { type: "string", short: "n" },
+  },
+
+  async run({ args, options, getDb }) {
+    const db = getDb();
+    const [runId] = args;
+
+    if (runId) {
+      const run = await getSyncRun(db, runId);
+      if (!run) throw cliError(`Sync run ${runId} not found`, EXIT_CODES.NOT_FOUND);
+
+      return {
+        result: run,
+        text: [
+          `syncRuns/${run.id}`,
+          `  status: ${run.status}${run.dryRun ? " (dry run)" : ""}`,
+          `  trigger: ${run.trigger}`,
+          `  window: ${run.window ? `${run.window.modifiedAfter} to ${run.window.modifiedBefore}` : "not resolved"}`,
+          `  started: ${run.startedAt || "not started"}${run.durationMs ? ` (${run.durationMs}ms)` : ""}`,
+          ...(run.statusMessage ? [`  message: ${run.statusMessage}`] : []),
+          "  stats:",
+          ...Object.entries(run.stats || {}).map(([name, value]) => `    ${name}: ${value}`),
+          `  errors (${(run.errors || []).length}):`,
+          ...(run.errors || []).map(
+            ({ stage, email, message }) => `    ${stage}${email ? ` ${email}` : ""}: ${message}`
+          ),
+        ].join("\n"),
+      };
+    }
+
+    const limit = options.limit ? parseInt(options.limit) : 10;
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw cliError(`Invalid limit "${options.limit}"`, EXIT_CODES.USAGE);
+    }
+
+    const runs = await listSyncRuns(db, { limit });
+    return {
+      result: runs,
+      text:
+        runs.length === 0
+          ? "No sync runs recorded"
+          : runs
+              .map(({ id, createdAt, startedAt, status, trigger, dryRun, stats = {}, errors = [] }) =>
+                [
+                  id,
+                  startedAt || createdAt,
+                  `${status}${dryRun ? " (dry run)" : ""}`,
+                  trigger,
+                  `${stats.ordersFetched} orders`,
+                  `${stats.studentsCreated} created`,
+                  `${stats.studentsUpdated} updated`,
+                  `${stats.coursesAdded} courses`,
+                  `${stats.recordsRejected ?? 0} rejected`,
+                  `${errors.length} errors`,
+                ].join("  ")
+              )
+              .join("\n"),
+    };
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * Exit codes of the tanwir CLI
+ * - SUCCESS: the command completed
+ * - FAILURE: the command failed, or completed with failed items
+ * - USAGE: missing or invalid arguments
+ * - NOT_FOUND: the student or document does not exist
+ * - CANCELLED: the confirmation was declined, or --yes was missing when not interactive
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE: 2,
+  NOT_FOUND: 3,
+  CANCELLED: 4,
+};
+
+/**
+ * Create an error that ends the CLI with a specific exit code
+ * @param {string} message - Error message
+ * @param {number} exitCode - One of EXIT_CODES
+ * @returns {Error}
+ */
+export function cliError(message, exitCode) {
+  const error = new Error(message);
+  error.exitCode = exitCode;
+  return error;
+}
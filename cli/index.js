@@ -0,0 +1,162 @@
+import { parseArgs } from "util";
+import readline from "readline/promises";
+import { getFirestore } from "../services/firebaseApp.js";
+import { logger } from "../utils/logger.js";
+import { cliError, EXIT_CODES } from "./errors.js";
+import { syncCommand } from "./commands/sync.js";
+import { syncRunsCommand } from "./commands/syncRuns.js";
+import { renameUserCommand } from "./commands/renameUser.js";
+import { setDisplayNameCommand } from "./commands/setDisplayName.js";
+import { backfillCourseRefsCommand } from "./commands/backfillCourseRefs.js";
+import { scrubFieldCommand } from "./commands/scrubField.js";
+import { resendWelcomeCommand } from "./commands/resendWelcome.js";
+import { lookupStudentCommand } from "./commands/lookupStudent.js";
+import { migrateToUidCommand } from "./commands/migrateToUid.js";
+import { migrateCommand } from "./commands/migrate.js";
+import { deadLettersCommand } from "./commands/deadLetters.js";
+
+/**
+ * tanwir admin CLI
+ * Each command module provides:
+ * - name: subcommand name
+ * - summary: one-line description for `tanwir --help`
+ * - usage: usage line and option descriptions for `tanwir <command> --help`
+ * - options: parseArgs option definitions for command-specific flags
+ * - run(context): performs the command and returns { result, text, exitCode }
+ *   where context is { args, options, flags: { dryRun, yes, json }, getDb, confirm }.
+ *   Commands that write call confirm(message) first; it returns straight away
+ *   for dry runs and --yes.
+ *
+ * Global flags: --dry-run, --yes, --json, --help. See errors.js for exit codes.
+ */
+
+const GLOBAL_OPTIONS = {
+  "dry-run": { type: "boolean", default: false },
+  yes: { type: "boolean", short: "y", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const commands = [
+  syncCommand,
+  syncRunsCommand,
+  renameUserCommand,
+  setDisplayNameCommand,
+  backfillCourseRefsCommand,
+  scrubFieldCommand,
+  resendWelcomeCommand,
+  lookupStudentCommand,
+  migrateToUidCommand,
+  migrateCommand,
+  deadLettersCommand,
+];
+
+/**
+ * Help text listing every command
+ * @returns {string}
+ */
+function getHelp() {
+  const width = Math.max(...commands.map((command) => command.name.length));
+  return [
+    "Usage: tanwir <command> [arguments] [--dry-run] [--yes] [--json]",
+    "",
+    "Commands:",
+    ...commands.map((command) => `  ${command.name.padEnd(width)}  ${command.summary}`),
+    "",
+    "Global flags:",
+    "  --dry-run  Show what would change without writing",
+    "  --yes, -y  Do not ask for confirmation before writing",
+    "  --json     Print the result as JSON",
+    "",
+    "Run `tanwir <command> --help` for the arguments of a command.",
+  ].join("\n");
+}
+
+/**
+ * Ask before a command writes. Dry runs and --yes skip the question;
+ * without a terminal to ask on, --yes is required.
+ * @param {Object} flags - Global flags
+ * @param {string} message - What the command is about to do
+ */
+async function confirm(flags, message) {
+  if (flags.dryRun || flags.yes) return;
+
+  if (!process.stdin.isTTY) {
+    throw cliError(`${message}: pass --yes to confirm when not running interactively`, EXIT_CODES.CANCELLED);
+  }
+
+  const prompt = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await prompt.question(`${message}. Continue? [y/N] `);
+    if (!/^y(es)?$/i.test(answer.trim())) {
+      throw cliError("Cancelled", EXIT_CODES.CANCELLED);
+    }
+  } finally {
+    prompt.close();
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the executable and script
+ * @returns {Promise<number>} - Exit code
+ */
+export async function runCli(argv) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === "--help" || name === "-h" || name === "help") {
+    console.log(getHelp());
+    return name ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+
+  const command = commands.find((candidate) => candidate.name === name);
+  if (!command) {
+    console.error(`Unknown command "${name}"\n\n${getHelp()}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { ...GLOBAL_OPTIONS, ...command.options },
+      allowPositionals: true,
+    });
+  } catch (error) {
+    console.error(`${error.message}\n\nUsage: tanwir ${command.usage}`);
+    return EXIT_CODES.USAGE;
+  }
+
+  const { "dry-run": dryRun, yes, json, help, ...options } = parsed.values;
+  if (help) {
+    console.log(`Usage: tanwir ${command.usage}`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  const flags = { dryRun, yes, json };
+
+  try {
+    const { result, text, exitCode = EXIT_CODES.SUCCESS } = await command.run({
+      args: parsed.positionals,
+      options,
+      flags,
+      getDb: getFirestore,
+      confirm: (message) => confirm(flags, message),
+    });
+
+    if (json) console.log(JSON.stringify(result, null, 2));
+    else if (text) console.log(text);
+    return exitCode;
+  } catch (error) {
+    const exitCode = error.exitCode ?? EXIT_CODES.FAILURE;
+    if (exitCode === EXIT_CODES.USAGE) {
+      console.error(`${error.message}\n\nUsage: tanwir ${command.usage}`);
+    } else if (exitCode === EXIT_CODES.FAILURE) {
+      logger.error(`${name} failed:`, error.message);
+    } else {
+      console.error(error.message);
+    }
+    if (json) console.log(JSON.stringify({ error: error.message, exitCode }, null, 2));
+    return exitCode;
+  }
+}
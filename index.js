@@ -1,64 +1,583 @@
 import express from "express";
 import dotenv from "dotenv";
-import { fetchSquarespaceOrders } from "./services/squarespace.js";
+import { resolveTimeWindow, streamSquarespaceOrders } from "./services/squarespace.js";
 import { processOrderData } from "./services/dataProcessor.js";
-import { saveToFirestore } from "./services/firebase.js";
+import {
+  previewFirestoreChanges,
+  retryPendingOnboarding,
+  saveToFirestore,
+} from "./services/firebase.js";
+import { createScheduler } from "./services/scheduler.js";
+import { getFirestore } from "./services/firebaseApp.js";
+import {
+  listOutboxEntries,
+  processEmailOutbox,
+  resendWelcomeEmails,
+} from "./services/emailOutbox.js";
+import { resolveCheckpointRange, saveCheckpoint } from "./services/syncState.js";
+import {
+  handleWebhookNotification,
+  verifyWebhookSignature,
+} from "./services/squarespaceWebhook.js";
+import { filterUnprocessedOrders, markOrdersProcessed } from "./services/orderLedger.js";
+import { revokeCourses, splitRevokedRecords } from "./services/revocations.js";
+import { recordDeadLetters } from "./services/deadLetters.js";
+import {
+  listOverdueInstallments,
+  refreshOverdueInstallments,
+} from "./services/installments.js";
+import {
+  addSyncRunError,
+  finishSyncRun,
+  getSyncRun,
+  listSyncRuns,
+  recordSkippedSyncRun,
+  setSyncRunStep,
+  setSyncRunWindow,
+  startSyncRun,
+} from "./services/syncRuns.js";
+import { buildTimeConfig, createSyncJobQueue } from "./services/syncJobs.js";
+import { acquireSyncLock, getSyncLock } from "./services/syncLock.js";
+import { createAdminRouter } from "./routes/admin.js";
+import { createAuthMiddleware } from "./middleware/auth.js";
+import { createRateLimiter } from "./middleware/rateLimit.js";
 import { logger } from "./utils/logger.js";
 
 // Load environment variables
 dotenv.config();
 
 const app = express();
+// Keep the raw body so webhook signatures can be verified
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 const PORT = process.env.PORT || 3000;
 
+// Cron configuration for the built-in scheduler
+const CRON_SCHEDULE = process.env.CRON_SCHEDULE || "0 2 * * *";
+const CRON_TIMEZONE = process.env.CRON_TIMEZONE || "UTC";
+const CRON_LOOKBACK_MINUTES = parseInt(process.env.CRON_LOOKBACK_MINUTES) || 1500;
+const CRON_SYNC_MODE = process.env.CRON_SYNC_MODE || "lookback";
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== "false";
+
+// Students kept in the report stored on a dry run's sync run
+const DRY_RUN_REPORT_STUDENTS = 200;
+
+const scheduler = createSyncScheduler();
+
+// Syncs requested through the API run in the background, one at a time
+const syncJobs = createSyncJobQueue({
+  runSync: ({ runId, timeConfig, dryRun, trigger }) =>
+    runScheduledTask(timeConfig, { dryRun, trigger, runId }),
+});
+
+// Operational endpoints accept the methods in AUTH_METHODS (see middleware/auth.js);
+// mutating endpoints share one per-client rate limit
+const authenticate = createAuthMiddleware();
+const rateLimit = createRateLimiter();
+// Webhook senders are limited by IP, before the signature is checked, with
+// their own limit so a busy store's notifications are not throttled by API clients
+const webhookRateLimit = createRateLimiter({
+  max: parseInt(process.env.WEBHOOK_RATE_LIMIT_MAX) || 60,
+});
+
 // Basic health check endpoint
 app.get("/", (req, res) => {
   res.status(200).send({ status: "OK", message: "Scheduler is running" });
 });
 
-// Manual trigger endpoint for the scheduler
-app.post("/trigger-sync", async (req, res) => {
-  try {
-    logger.info("Manual sync triggered");
-    await runScheduledTask();
-    res
+// Scheduler status endpoint (next/last run times)
+app.get("/schedule", (req, res) => {
+  if (!scheduler) {
+    return res
       .status(200)
-      .send({ status: "success", message: "Sync completed successfully" });
+      .send({ status: "disabled", message: "Built-in scheduler is not configured" });
+  }
+  res.status(200).send({ status: "OK", schedule: scheduler.getStatus() });
+});
+
+// Queue a sync and return its run ID straight away; poll GET /sync-runs/:id for progress.
+// Body: { "minutes": 120 }, { "checkpoint": true } or { "start": "<iso>", "end": "<iso>" }
+app.post("/trigger-sync", authenticate, rateLimit, async (req, res) => {
+  let timeConfig;
+  try {
+    timeConfig = buildTimeConfig(req.body || {});
   } catch (error) {
-    logger.error("Manual sync failed:", error);
+    return res.status(400).send({ status: "error", message: error.message });
+  }
+
+  try {
+    const dryRun = req.query.dryRun === "true" || req.body?.dryRun === true;
+    logger.info(`Manual sync requested by ${req.client.id}${dryRun ? " (dry run)" : ""}`);
+
+    const { runId, duplicate } = await syncJobs.enqueue(getFirestore(), {
+      timeConfig,
+      dryRun,
+      trigger: "api",
+      requestedBy: req.client.id,
+    });
+    res.status(202).send({
+      status: "accepted",
+      message: duplicate ? "An identical sync is already queued" : "Sync queued",
+      runId,
+      statusUrl: `/sync-runs/${runId}`,
+    });
+  } catch (error) {
+    logger.error("Failed to queue manual sync:", error);
     res.status(500).send({ status: "error", message: error.message });
   }
 });
 
-// The main scheduled task that will run according to the cron schedule
-async function runScheduledTask(timeConfig = 6) {
+// Recent sync runs, newest first (?limit=20)
+app.get("/sync-runs", authenticate, async (req, res) => {
   try {
-    logger.info("Starting scheduled task to process Squarespace orders");
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const db = getFirestore();
+    const [runs, lock] = await Promise.all([listSyncRuns(db, { limit }), getSyncLock(db)]);
+    res.status(200).send({ status: "OK", runs, lock, queued: syncJobs.getPending() });
+  } catch (error) {
+    logger.error("Failed to list sync runs:", error);
+    res.status(500).send({ status: "error", message: error.message });
+  }
+});
 
-    // Step 1: Extract data from Squarespace
-    const orders = await fetchSquarespaceOrders(timeConfig);
-    logger.info(`Fetched ${orders.length} orders from Squarespace`);
+// One sync run with its counters and errors
+app.get("/sync-runs/:id", authenticate, async (req, res) => {
+  try {
+    const run = await getSyncRun(getFirestore(), req.params.id);
+    if (!run) {
+      return res
+        .status(404)
+        .send({ status: "error", message: `Sync run ${req.params.id} not found` });
+    }
+    res.status(200).send({ status: "OK", run });
+  } catch (error) {
+    logger.error(`Failed to get sync run ${req.params.id}:`, error);
+    res.status(500).send({ status: "error", message: error.message });
+  }
+});
+
+// List welcome email outbox entries (?status=failed&email=...)
+app.get("/email-outbox", authenticate, async (req, res) => {
+  try {
+    const entries = await listOutboxEntries(getFirestore(), {
+      status: req.query.status,
+      email: req.query.email,
+      limit: parseInt(req.query.limit) || 50,
+    });
+    res.status(200).send({ status: "OK", entries });
+  } catch (error) {
+    logger.error("Failed to list email outbox:", error);
+    res.status(500).send({ status: "error", message: error.message });
+  }
+});
 
-    // Step 2: Format the data
-    const processedOrders = await processOrderData(orders);
-    logger.info(`Processed ${processedOrders.length} orders`);
+// Resend welcome emails: { failed: true } and/or { emails: [...], resetPassword }
+app.post("/email-outbox/resend", authenticate, rateLimit, async (req, res) => {
+  try {
+    const { emails = [], failed = false, resetPassword = false } = req.body || {};
+    if (!failed && emails.length === 0) {
+      return res
+        .status(400)
+        .send({ status: "error", message: "Provide emails and/or failed: true" });
+    }
 
-    // Step 3: Insert data into Firebase
-    if (processedOrders && processedOrders.length > 0) {
-      await saveToFirestore(processedOrders);
-      logger.info("Successfully saved orders to Firestore");
+    const db = getFirestore();
+    const queued = await resendWelcomeEmails(db, { emails, failed, resetPassword });
+    const delivery = await processEmailOutbox(db);
+    res.status(200).send({ status: "success", ...queued, delivery });
+  } catch (error) {
+    logger.error("Failed to resend welcome emails:", error);
+    res.status(500).send({ status: "error", message: error.message });
+  }
+});
+
+// Students with an overdue payment plan installment
+app.get("/installments/overdue", authenticate, async (req, res) => {
+  try {
+    const students = await listOverdueInstallments(getFirestore());
+    res.status(200).send({ status: "OK", students });
+  } catch (error) {
+    logger.error("Failed to list overdue installments:", error);
+    res.status(500).send({ status: "error", message: error.message });
+  }
+});
+
+// Student and enrollment management, for admins only (see routes/admin.js)
+app.use("/admin", createAdminRouter({ rateLimit }));
+
+// Squarespace Commerce webhook (order.create / order.update)
+app.post("/webhooks/squarespace", webhookRateLimit, (req, res) => {
+  let verified;
+  try {
+    verified = verifyWebhookSignature(req.rawBody, req.get("Squarespace-Signature"));
+  } catch (error) {
+    logger.error("Cannot verify Squarespace webhook:", error.message);
+    return res.status(500).send({ status: "error", message: "Webhook not configured" });
+  }
+
+  if (!verified) {
+    logger.warn("Rejected Squarespace webhook with an invalid signature");
+    return res.status(401).send({ status: "error", message: "Invalid signature" });
+  }
+
+  // Acknowledge right away so Squarespace does not time out and redeliver;
+  // orders that fail here are picked up by the next polling sync
+  res.status(200).send({ status: "accepted" });
+
+  handleWebhookNotification(req.body).catch((error) => {
+    logger.error(`Failed to process Squarespace webhook ${req.body?.id}:`, error.message);
+  });
+});
+
+/**
+ * Create the built-in scheduler that runs the sync on CRON_SCHEDULE.
+ * Scheduled runs resume from the sync checkpoint when CRON_SYNC_MODE=checkpoint,
+ * otherwise they look back CRON_LOOKBACK_MINUTES; manual runs keep the default window.
+ * @returns {Object|null} - Scheduler, or null when disabled or misconfigured
+ */
+function createSyncScheduler() {
+  if (!SCHEDULER_ENABLED) {
+    logger.info("Built-in scheduler disabled via SCHEDULER_ENABLED=false");
+    return null;
+  }
+
+  try {
+    return createScheduler({
+      name: "sync",
+      expression: CRON_SCHEDULE,
+      timezone: CRON_TIMEZONE,
+      task: ({ trigger, dryRun, source }) => {
+        if (trigger !== "schedule") {
+          return runScheduledTask(undefined, { dryRun, trigger: source || trigger });
+        }
+        return runScheduledTask(
+          CRON_SYNC_MODE === "checkpoint"
+            ? { type: "checkpoint" }
+            : { type: "lookback", minutes: CRON_LOOKBACK_MINUTES },
+          { trigger }
+        );
+      },
+    });
+  } catch (error) {
+    logger.error(`Invalid scheduler configuration: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Sync one page of fetched orders: skip orders already in the ledger, map the
+ * rest, dead-letter rejected line items, save active courses, revoke canceled
+ * or refunded ones and record the page's orders in the ledger. Adds to the
+ * run's stats and errors. Dry runs stop after mapping.
+ * @param {Object} run - Sync run from startSyncRun
+ * @param {Array} fetchedOrders - Student orders from one Squarespace page
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Map the orders without writing
+ * @returns {Promise<Object>} - { recordsMapped, activeRecords, revokedRecords, rejections,
+ *   succeeded, failed, coursesRevoked, unrecordedOrderIds }
+ */
+async function syncOrdersPage(run, fetchedOrders, { dryRun }) {
+  const { stats } = run;
+  const { pending: orders } = await filterUnprocessedOrders(getFirestore(), fetchedOrders);
+  stats.ordersFetched += fetchedOrders.length;
+  stats.ordersSkipped += fetchedOrders.length - orders.length;
+
+  await setSyncRunStep(run, "mapping");
+  const rejections = [];
+  const records = await processOrderData(orders, {
+    onReject: (rejection) => rejections.push(rejection),
+  });
+  stats.recordsMapped += records.length;
+  stats.recordsRejected += rejections.length;
+  // Each rejected order or line item is listed in the run's errors with why
+  rejections.forEach(({ order, lineItem, stage, reason }) => {
+    addSyncRunError(
+      run,
+      stage,
+      `Order ${order?.orderNumber ?? order?.id}${lineItem ? ` line item ${lineItem.id}` : ""}: ${reason}`
+    );
+  });
+
+  // Canceled and refunded line items revoke access instead of granting it
+  const { activeRecords, revokedRecords } = splitRevokedRecords(orders, records);
+  const page = {
+    recordsMapped: records.length,
+    activeRecords,
+    revokedRecords,
+    rejections,
+    succeeded: [],
+    failed: [],
+    coursesRevoked: 0,
+    unrecordedOrderIds: [],
+  };
+
+  if (dryRun) {
+    stats.deadLettered += rejections.length;
+    return page;
+  }
+
+  // Rejected line items are set aside for review instead of failing the run;
+  // orders with a rejection that could not be stored are left for the next run
+  if (rejections.length > 0) {
+    const { ids, unrecorded } = await recordDeadLetters(getFirestore(), rejections, { source: "poll" });
+    stats.deadLettered += ids.length;
+    page.unrecordedOrderIds = unrecorded.map(({ order }) => order?.id);
+    if (unrecorded.length > 0) {
+      addSyncRunError(
+        run,
+        "dead-letter",
+        `Only ${ids.length} of ${rejections.length} rejected line items were dead-lettered`
+      );
+    }
+  }
+
+  await setSyncRunStep(run, "saving");
+  let saveResult = null;
+  if (activeRecords.length > 0) {
+    saveResult = await saveToFirestore(activeRecords);
+    if (saveResult.failed.length > 0) {
+      logger.warn(
+        `Failed to save ${saveResult.failed.length} students: ${saveResult.failed
+          .map((student) => student.email)
+          .join(", ")}`
+      );
     } else {
-      logger.info("No orders to save to Firestore");
+      logger.info("Successfully saved orders to Firestore");
     }
+  }
 
-    return { success: true, ordersProcessed: processedOrders.length };
+  await setSyncRunStep(run, "revoking");
+  const revokeResult = await revokeCourses(getFirestore(), revokedRecords);
+  page.succeeded = saveResult?.succeeded || [];
+  page.failed = [...(saveResult?.failed || []), ...revokeResult.failed];
+  page.coursesRevoked = revokeResult.coursesRevoked;
+
+  const created = page.succeeded.filter((student) => student.action === "created").length;
+  stats.studentsCreated += created;
+  stats.studentsUpdated += page.succeeded.filter((student) => student.action === "updated").length;
+  stats.studentsFailed += page.failed.length;
+  stats.coursesAdded += saveResult?.coursesAdded || 0;
+  stats.installmentsRecorded += saveResult?.installmentsRecorded || 0;
+  stats.coursesRevoked += revokeResult.coursesRevoked;
+  // Each new student gets a welcome email
+  stats.emailsQueued += created;
+  page.failed.forEach(({ email, stage, error }) => addSyncRunError(run, stage, error, email));
+
+  await markOrdersProcessed(getFirestore(), orders, {
+    records,
+    failed: page.failed,
+    exclude: page.unrecordedOrderIds,
+    source: "poll",
+  });
+
+  return page;
+}
+
+// The main scheduled task that will run according to the cron schedule
+// timeConfig: lookback minutes, { type: 'lookback' }, { type: 'range' } or { type: 'checkpoint' }
+// options.dryRun: report what would be written without touching Firestore, Auth or email
+// options.trigger: what started the run, recorded in the sync run history
+// options.runId: ID of the queued run to record this run on (see services/syncJobs.js)
+// Runs that write hold the sync lock, and fail with code "sync-locked" while another sync holds it
+async function runScheduledTask(
+  timeConfig = 6,
+  { dryRun = false, trigger = "manual", runId = null } = {}
+) {
+  let run = null;
+  let lock = null;
+  try {
+    logger.info(
+      `Starting scheduled task to process Squarespace orders${dryRun ? " (dry run)" : ""}`
+    );
+    // Dry runs do not write, so they do not need the lock
+    if (!dryRun) {
+      lock = await acquireSyncLock(getFirestore(), { description: `${trigger} sync` });
+    }
+    run = await startSyncRun(getFirestore(), { runId, trigger, dryRun, timeConfig });
+    const { stats } = run;
+
+    // Checkpoint mode resumes from the last successful sync
+    const isCheckpoint = timeConfig?.type === "checkpoint";
+    const fetchConfig = isCheckpoint
+      ? await resolveCheckpointRange(timeConfig)
+      : timeConfig;
+
+    // Resolve the window once so the run history shows exactly what was fetched
+    const window = resolveTimeWindow(fetchConfig);
+    await setSyncRunWindow(run, window);
+    await setSyncRunStep(run, "fetching");
+
+    // Steps 1-3 run one Squarespace page at a time: each page is saved and
+    // recorded in the ledger before the next one is fetched, so a page that
+    // fails keeps the work of the pages before it
+    const succeeded = [];
+    const failed = [];
+    const unrecordedOrderIds = [];
+    const activeRecords = [];
+    const revokedRecords = [];
+    const rejections = [];
+    let ordersProcessed = 0;
+    let coursesRevoked = 0;
+    let pagesCompleted = 0;
+    let pageError = null;
+
+    try {
+      for await (const { orders } of streamSquarespaceOrders({
+        type: "range",
+        start: window.modifiedAfter,
+        end: window.modifiedBefore,
+      })) {
+        const page = await syncOrdersPage(run, orders, { dryRun });
+        ordersProcessed += page.recordsMapped;
+        coursesRevoked += page.coursesRevoked;
+        succeeded.push(...page.succeeded);
+        failed.push(...page.failed);
+        unrecordedOrderIds.push(...page.unrecordedOrderIds);
+        rejections.push(...page.rejections);
+        // Dry runs preview all pages together, since nothing was written
+        if (dryRun) {
+          activeRecords.push(...page.activeRecords);
+          revokedRecords.push(...page.revokedRecords);
+        }
+        pagesCompleted++;
+        await setSyncRunStep(run, "fetching");
+      }
+    } catch (error) {
+      // Nothing was saved (or this is a dry run), so the whole run failed
+      if (dryRun || pagesCompleted === 0) throw error;
+      pageError = error;
+      logger.error(`Sync stopped after ${pagesCompleted} pages:`, error.message);
+      addSyncRunError(run, "sync", `Stopped after ${pagesCompleted} pages: ${error.message}`);
+    }
+    logger.info(`Processed ${ordersProcessed} orders from ${pagesCompleted} pages`);
+
+    // Dry run: compute the changes and stop before any writes
+    if (dryRun) {
+      const report = await previewFirestoreChanges(activeRecords);
+      report.revocations = revokedRecords.map((record) => ({
+        email: record.studentInfo?.email?.toLowerCase().trim(),
+        courseId: record.courseId,
+        courseName: record.courseName,
+        reason: record.revokedReason,
+      }));
+      report.rejected = rejections.map(({ order, lineItem, stage, reason, violations = [] }) => ({
+        orderNumber: order?.orderNumber ?? null,
+        lineItemId: lineItem?.id || null,
+        stage,
+        reason,
+        violations,
+      }));
+      Object.assign(stats, {
+        studentsCreated: report.summary.studentsCreated,
+        studentsUpdated: report.summary.studentsUpdated,
+        coursesAdded: report.summary.coursesAdded,
+        installmentsRecorded: report.summary.installmentsRecorded,
+        coursesRevoked: report.revocations.length,
+        emailsQueued: report.summary.emailsSent,
+      });
+      // Keep the stored report well under Firestore's document size limit
+      await finishSyncRun(run, run.errors.length > 0 ? "partial" : "succeeded", {
+        report: {
+          ...report,
+          students: report.students.slice(0, DRY_RUN_REPORT_STUDENTS),
+          studentsTruncated: report.students.length > DRY_RUN_REPORT_STUDENTS,
+        },
+      });
+      return {
+        success: true,
+        dryRun: true,
+        runId: run.id,
+        ordersProcessed,
+        report,
+      };
+    }
+
+    // Finish onboarding steps that failed in earlier runs
+    await setSyncRunStep(run, "retrying-onboarding");
+    try {
+      await retryPendingOnboarding();
+    } catch (retryError) {
+      logger.error("Error retrying pending onboarding:", retryError.message);
+      addSyncRunError(run, "onboarding-retry", retryError.message);
+    }
+
+    // Flag payment plans whose next installment is past due
+    try {
+      await refreshOverdueInstallments(getFirestore());
+    } catch (installmentError) {
+      logger.error("Error refreshing overdue installments:", installmentError.message);
+      addSyncRunError(run, "installments", installmentError.message);
+    }
+
+    // Send welcome emails queued by this and earlier runs
+    await setSyncRunStep(run, "sending-emails");
+    try {
+      const delivery = await processEmailOutbox(getFirestore());
+      stats.emailsSent = delivery.sent;
+      stats.emailsFailed = delivery.failed;
+    } catch (outboxError) {
+      logger.error("Error processing email outbox:", outboxError.message);
+      addSyncRunError(run, "email-outbox", outboxError.message);
+    }
+
+    // Only advance the checkpoint once everything up to fetchConfig.end is saved;
+    // after failures the next run re-reads the window and dedupe skips saved courses
+    if (isCheckpoint) {
+      if (pageError) {
+        // Pages are not ordered by modifiedOn, so no earlier point is known to
+        // be complete; the completed pages are in the ledger and skipped next run
+        logger.warn("Not advancing sync checkpoint because the sync stopped before the last page");
+      } else if (failed.length > 0) {
+        logger.warn("Not advancing sync checkpoint because some students failed to save");
+      } else if (unrecordedOrderIds.length > 0) {
+        logger.warn("Not advancing sync checkpoint because some rejected orders could not be dead-lettered");
+      } else {
+        await saveCheckpoint(fetchConfig.end);
+      }
+    }
+
+    await finishSyncRun(run, run.errors.length > 0 ? "partial" : "succeeded");
+
+    return {
+      success: true,
+      runId: run.id,
+      ordersProcessed,
+      studentsSucceeded: succeeded.length,
+      studentsFailed: failed,
+      coursesRevoked,
+      deadLettered: stats.deadLettered,
+    };
   } catch (error) {
+    if (error.code === "sync-locked") {
+      logger.warn(error.message);
+      // Queued jobs keep their run and retry (see services/syncJobs.js)
+      if (!runId) {
+        await recordSkippedSyncRun(getFirestore(), {
+          trigger,
+          dryRun,
+          timeConfig,
+          reason: error.message,
+        });
+      }
+      throw error;
+    }
     logger.error("Error in scheduled task:", error.message || "Unknown error", {
       stack: error.stack,
       name: error.name,
       code: error.code,
     });
+    if (run) {
+      addSyncRunError(run, "sync", error.message || "Unknown error");
+      await finishSyncRun(run, "failed");
+    }
     throw error;
+  } finally {
+    if (lock) await lock.release();
   }
 }
 
@@ -70,16 +589,20 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     logger.info(
       "API server initialized. Use /trigger-sync endpoint to run a sync."
     );
+
+    if (scheduler) scheduler.start();
   });
 
   // Handle graceful shutdown
   process.on("SIGTERM", () => {
     logger.info("SIGTERM received, shutting down gracefully");
+    if (scheduler) scheduler.stop();
     process.exit(0);
   });
 
   process.on("SIGINT", () => {
     logger.info("SIGINT received, shutting down gracefully");
+    if (scheduler) scheduler.stop();
     process.exit(0);
   });
 }
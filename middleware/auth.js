@@ -0,0 +1,208 @@
+import crypto from "crypto";
+import admin from "firebase-admin";
+import dotenv from "dotenv";
+import { initializeFirebase } from "../services/firebaseApp.js";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+/**
+ * Express middleware for authenticated endpoints.
+ * Each auth method checks one kind of credential and returns the client that
+ * sent the request, or null when the request does not carry that kind of
+ * credential; invalid credentials throw an error with an HTTP status.
+ * - api-key: `X-API-Key: <key>`, keys from API_KEYS ("client:key,...")
+ * - hmac: `X-Client-Id`, `X-Timestamp` (Unix seconds) and `X-Signature`, the
+ *   hex HMAC-SHA256 of "<timestamp>.<METHOD>.<path>.<raw body>" with the
+ *   client's secret from HMAC_SECRETS ("client:secret,...")
+ * - firebase: `Authorization: Bearer <Firebase ID token>` of a user with the
+ *   `admin: true` custom claim
+ * The authenticated client ({ id, method }) is stored on req.client, and the
+ * decoded ID token on req.admin for the firebase method.
+ */
+
+// Requests signed longer ago than this are rejected as possible replays
+const HMAC_TOLERANCE_SECONDS = parseInt(process.env.HMAC_TOLERANCE_SECONDS) || 300;
+
+// Methods accepted by endpoints that do not choose their own
+const DEFAULT_METHODS = (process.env.AUTH_METHODS || "api-key,hmac,firebase")
+  .split(",")
+  .map((method) => method.trim())
+  .filter(Boolean);
+
+// Signatures seen within the tolerance window, so a captured request cannot be resent
+const seenSignatures = new Map();
+
+/**
+ * Create an error carrying the HTTP status to respond with
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Parse a "client:secret,client:secret" list
+ * @param {string} [value] - Environment variable value
+ * @returns {Map} - Map of client ID to secret
+ */
+function parseClientSecrets(value) {
+  const secrets = new Map();
+  (value || "").split(",").forEach((entry) => {
+    const separator = entry.indexOf(":");
+    if (separator <= 0) return;
+    const clientId = entry.slice(0, separator).trim();
+    const secret = entry.slice(separator + 1).trim();
+    if (clientId && secret) secrets.set(clientId, secret);
+  });
+  return secrets;
+}
+
+/**
+ * Compare two strings in constant time
+ * @param {string} received - Value from the request
+ * @param {string} expected - Known value
+ * @returns {boolean}
+ */
+function safeEqual(received, expected) {
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Authenticate a shared API key sent in X-API-Key
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - { id, method }, or null without an API key
+ */
+async function authenticateApiKey(req) {
+  const key = req.get("X-API-Key");
+  if (!key) return null;
+
+  for (const [clientId, expected] of parseClientSecrets(process.env.API_KEYS)) {
+    if (safeEqual(key, expected)) return { id: `api-key:${clientId}`, method: "api-key" };
+  }
+  throw authError(401, "Invalid API key");
+}
+
+/**
+ * Compute the signature of a request for the hmac method
+ * @param {string} secret - Client secret
+ * @param {Object} request - { timestamp, method, path, body }
+ * @returns {string} - Hex HMAC-SHA256
+ */
+export function signRequest(secret, { timestamp, method, path, body = "" }) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${method.toUpperCase()}.${path}.${body}`)
+    .digest("hex");
+}
+
+/**
+ * Authenticate a request signed with a client's HMAC secret
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - { id, method }, or null without a signature
+ */
+async function authenticateHmac(req) {
+  const signature = req.get("X-Signature");
+  if (!signature) return null;
+
+  const clientId = req.get("X-Client-Id");
+  const timestamp = req.get("X-Timestamp");
+  const secret = parseClientSecrets(process.env.HMAC_SECRETS).get(clientId);
+  if (!secret) throw authError(401, "Unknown client");
+
+  const now = Math.floor(Date.now() / 1000);
+  if (!/^\d+$/.test(timestamp || "") || Math.abs(now - Number(timestamp)) > HMAC_TOLERANCE_SECONDS) {
+    throw authError(401, "Missing or expired timestamp");
+  }
+
+  const expected = signRequest(secret, {
+    timestamp,
+    method: req.method,
+    path: req.originalUrl,
+    body: req.rawBody ? req.rawBody.toString() : "",
+  });
+  if (!safeEqual(signature, expected)) throw authError(401, "Invalid signature");
+
+  // Forget signatures once their timestamp is outside the window anyway
+  for (const [seen, expiresAt] of seenSignatures) {
+    if (expiresAt < now) seenSignatures.delete(seen);
+  }
+  if (seenSignatures.has(signature)) throw authError(401, "Request was already used");
+  seenSignatures.set(signature, Number(timestamp) + HMAC_TOLERANCE_SECONDS);
+
+  return { id: `hmac:${clientId}`, method: "hmac" };
+}
+
+/**
+ * Authenticate a Firebase ID token with the admin custom claim
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - { id, method, token }, or null without a bearer token
+ */
+async function authenticateFirebase(req) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+
+  let decoded;
+  try {
+    initializeFirebase();
+    decoded = await admin.auth().verifyIdToken(token);
+  } catch (error) {
+    throw authError(401, "Invalid or expired ID token");
+  }
+
+  if (decoded.admin !== true) {
+    throw authError(403, `Admin access required (${decoded.email || decoded.uid})`);
+  }
+  return { id: `firebase:${decoded.uid}`, method: "firebase", token: decoded };
+}
+
+export const AUTH_METHODS = {
+  "api-key": authenticateApiKey,
+  hmac: authenticateHmac,
+  firebase: authenticateFirebase,
+};
+
+/**
+ * Create middleware that lets a request through when it authenticates with
+ * one of the given methods
+ * @param {Object} [options]
+ * @param {Array<string>} [options.methods] - Accepted methods (default: AUTH_METHODS env, else all)
+ * @returns {Function} - Express middleware
+ */
+export function createAuthMiddleware({ methods = DEFAULT_METHODS } = {}) {
+  const unknown = methods.filter((method) => !AUTH_METHODS[method]);
+  if (unknown.length > 0) throw new Error(`Unknown auth methods: ${unknown.join(", ")}`);
+
+  return async (req, res, next) => {
+    try {
+      for (const method of methods) {
+        const client = await AUTH_METHODS[method](req);
+        if (!client) continue;
+
+        const { token, ...identity } = client;
+        req.client = identity;
+        if (token) req.admin = token;
+        return next();
+      }
+    } catch (error) {
+      logger.warn(`Rejected ${req.method} ${req.path} from ${req.ip}: ${error.message}`);
+      return res
+        .status(error.status || 500)
+        .send({ status: "error", message: error.status ? error.message : "Authentication failed" });
+    }
+
+    res.status(401).send({
+      status: "error",
+      message: `Authentication required (accepted: ${methods.join(", ")})`,
+    });
+  };
+}
+
+// Admin endpoints act on behalf of a person, so they only accept ID tokens
+export const requireAdmin = createAuthMiddleware({ methods: ["firebase"] });
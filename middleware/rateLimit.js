@@ -0,0 +1,58 @@
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+/**
+ * Per-client rate limiting for mutating endpoints. Clients are identified by
+ * req.client (set by the auth middleware), falling back to the IP address.
+ * Counts are kept in memory, so each instance enforces its own limit.
+ */
+
+const DEFAULT_MAX_REQUESTS = parseInt(process.env.RATE_LIMIT_MAX) || 10;
+const DEFAULT_WINDOW_SECONDS = parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60;
+
+/**
+ * Create middleware allowing each client a fixed number of requests per window
+ * @param {Object} [options]
+ * @param {number} [options.max] - Requests allowed per window
+ * @param {number} [options.windowSeconds] - Window length
+ * @returns {Function} - Express middleware
+ */
+export function createRateLimiter({
+  max = DEFAULT_MAX_REQUESTS,
+  windowSeconds = DEFAULT_WINDOW_SECONDS,
+} = {}) {
+  const windows = new Map();
+
+  return (req, res, next) => {
+    const clientId = req.client?.id || `ip:${req.ip}`;
+    const now = Date.now();
+
+    // Drop finished windows so the map does not grow with every client ever seen
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+
+    let window = windows.get(clientId);
+    if (!window) {
+      window = { count: 0, resetAt: now + windowSeconds * 1000 };
+      windows.set(clientId, window);
+    }
+    window.count++;
+
+    const retryAfter = Math.ceil((window.resetAt - now) / 1000);
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - window.count, 0)));
+    res.set("RateLimit-Reset", String(retryAfter));
+
+    if (window.count > max) {
+      logger.warn(`Rate limit exceeded by ${clientId} on ${req.method} ${req.path}`);
+      res.set("Retry-After", String(retryAfter));
+      return res
+        .status(429)
+        .send({ status: "error", message: `Too many requests, retry in ${retryAfter} seconds` });
+    }
+    next();
+  };
+}
@@ -0,0 +1,18 @@
+import { addMissingCourseRefs } from "../services/maintenance.js";
+
+/**
+ * Set courseRef on courses stored before course records carried one
+ * (formerly scripts/updateCourseRefs.js). There is no down migration: course
+ * refs that existed before cannot be told apart from the ones added here.
+ */
+
+export const description = "Set courseRef on stored courses that do not have one";
+
+/**
+ * @param {Object} data - authorizedUsers document data
+ * @returns {Object|null} - Fields to update, or null to leave the document unchanged
+ */
+export function up(data) {
+  const { courses, added } = addMissingCourseRefs(data.courses);
+  return added > 0 ? { courses } : null;
+}
@@ -0,0 +1,18 @@
+import admin from "firebase-admin";
+
+/**
+ * Remove studentInfo.password, which older versions of the sync stored in
+ * plaintext (formerly scripts/removePasswordFields.js). The passwords are
+ * gone once removed, so there is no down migration.
+ */
+
+export const description = "Remove plaintext passwords from studentInfo";
+
+/**
+ * @param {Object} data - authorizedUsers document data
+ * @returns {Object|null} - Fields to update, or null to leave the document unchanged
+ */
+export function up(data) {
+  if (data.studentInfo?.password === undefined) return null;
+  return { "studentInfo.password": admin.firestore.FieldValue.delete() };
+}
@@ -0,0 +1,22 @@
+import { SYNC_RUNS_COLLECTION } from "../services/syncRuns.js";
+
+/**
+ * Set createdAt on sync runs recorded before runs carried one, so they are
+ * still listed by the sync run history, which is ordered by createdAt.
+ * There is no down migration: the backfilled value is the run's own
+ * queuedAt or startedAt.
+ */
+
+export const description = "Set createdAt on sync runs that do not have one";
+
+export const collection = SYNC_RUNS_COLLECTION;
+
+/**
+ * @param {Object} data - syncRuns document data
+ * @returns {Object|null} - Fields to update, or null to leave the document unchanged
+ */
+export function up(data) {
+  if (data.createdAt) return null;
+  const createdAt = data.queuedAt || data.startedAt || data.finishedAt;
+  return createdAt ? { createdAt } : null;
+}
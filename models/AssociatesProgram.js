@@ -1,8 +1,11 @@
 /**
  * Associates Program Course Model
  * Maps Squarespace order data to a structured format for the Associates Program course
+ * Form labels are mapped in config/formFields/AssociatesProgram.json
  */
 
+import { buildStudentInfo, extractFormFields } from "./formFields.js";
+
 /**
  * Checks if a course is an Associates Program course
  * @param {string} courseName - Name of the course from Squarespace
@@ -35,10 +38,19 @@ function extractLevel(section) {
  * @returns {string}
  */
 function getVariantOption(options, key) {
-  const found = options.find(
-    (opt) => opt.optionName.toLowerCase() === key.toLowerCase()
+  const found = (options || []).find(
+    (opt) => opt?.optionName?.toLowerCase() === key.toLowerCase()
   );
-  return found ? found.value : "";
+  return found?.value ? String(found.value) : "";
+}
+
+/**
+ * Create courseRef based on course name and section
+ * @param {string} section - Section variant (e.g., "Year 1")
+ * @returns {string} - courseRef path
+ */
+function generateCourseRef(section) {
+  return `courses/Associates Program ${section || ""}`;
 }
 
 /**
@@ -48,62 +60,33 @@ function getVariantOption(options, key) {
  * @returns {Object} - Structured course + student model
  */
 function createSingleStudentModel(order, item) {
-  const customizations = Object.fromEntries(
-    item.customizations.map((c) => [c.label, c.value])
+  const { values } = extractFormFields(
+    "AssociatesProgram",
+    item.customizations,
+    `(order ${order.orderNumber}, line item ${item.id})`
   );
 
   const plan = getVariantOption(item.variantOptions, "Plan");
   const section = getVariantOption(item.variantOptions, "Section");
 
-  // Create courseRef based on courseName and section
-  const courseRef = `courses/Associates Program ${section}`;
-
-  // Extract student information from customizations
-  const fullName = customizations["Name"] || "";
-  const nameParts = fullName.split(" ");
-  const firstName = nameParts[0] || "";
-  const lastName = nameParts.slice(1).join(" ") || "";
-  const email = customizations["Email"]?.trim();
-  const phone = customizations["Phone"]?.replace(/\s+/g, "") || "";
-  
-  // Extract other customizations
-  const gender = customizations["Gender"];
-  const age = customizations["Age"];
-  const studentType = customizations["I am a"];
-  const password = customizations["Student Account Password"];
-  const arabicReadingAbility = customizations["Arabic Reading Ability"];
-  const arabicWritingAbility = customizations["How would you rate your Arabic writing ability?"];
-  const studiedIslamicSciences = customizations["Have you studied Islamic sciences before (e.g. Aqeedah, Fiqh, Tafsir, Hadith)?"];
-  const previousTopics = customizations["If yes, please list some of the topics you've studied and where:"];
-  const interestReason = customizations["Why are you interested in this course?"];
-
   return {
     courseId: `${order.id}-${item.id}`,
     orderNumber: order.orderNumber,
     createdOn: order.createdOn,
     courseName: item.productName,
     courseType: "AssociatesProgram",
-    courseRef,
+    courseRef: generateCourseRef(section),
 
-    studentInfo: {
-      firstName,
-      lastName,
-      email,
-      phone,
-      gender,
-      age,
-      studentType,
-      password,
-    },
+    studentInfo: buildStudentInfo(values),
 
     placementInfo: {
-      arabicProficiency: arabicReadingAbility,
-      readingAbility: arabicReadingAbility,
-      writingAbility: arabicWritingAbility,
-      listeningAbility: customizations["How would you rate your Arabic listening and comprehension?"] || "Not specified",
-      studiedIslamicSciences,
-      previousTopics,
-      interestReason,
+      arabicProficiency: values.arabicReadingAbility,
+      readingAbility: values.arabicReadingAbility,
+      writingAbility: values.arabicWritingAbility,
+      listeningAbility: values.arabicListeningAbility,
+      studiedIslamicSciences: values.studiedIslamicSciences,
+      previousTopics: values.previousTopics,
+      interestReason: values.interestReason,
       level: extractLevel(section),
       plan,
       section,
@@ -112,21 +95,15 @@ function createSingleStudentModel(order, item) {
 }
 
 /**
- * Creates structured Associates Program course models from the order
- * Each line item represents a different student
- * @param {Object} order - Full Squarespace order object
- * @returns {Array} - Array of structured course + student models
+ * Course type definition registered with the course registry
  */
-export function createAssociatesProgramModel(order) {
-  // Filter for service line items
-  const serviceItems = order.lineItems.filter(
-    item => item.lineItemType === "SERVICE" && item.productName === "Associates Program"
-  );
-  
-  if (serviceItems.length === 0) {
-    return [];
-  }
-  
-  // Create a model for each service line item (each student)
-  return serviceItems.map(item => createSingleStudentModel(order, item));
-}
+export const associatesProgramCourseType = {
+  courseType: "AssociatesProgram",
+  displayName: "Associates Program",
+  matches: isAssociatesProgram,
+  createModel: createSingleStudentModel,
+  // Payment plans create one order per installment for the same section
+  getDedupeKey: (course) =>
+    `AssociatesProgram|${course.courseName}|${course.placementInfo?.section}`,
+  getCourseRef: (course) => generateCourseRef(course.placementInfo?.section),
+};
@@ -0,0 +1,104 @@
+/**
+ * Generic Course Model
+ * Fallback for Squarespace products that do not match a specific course model.
+ * Keeps every customization and variant option so no enrollment data is lost.
+ * Student form labels are mapped in config/formFields/Generic.json
+ */
+
+import { buildStudentInfo, extractFormFields } from "./formFields.js";
+
+// Customizations that must never be stored on the course record
+const SENSITIVE_LABEL = /password/i;
+
+/**
+ * Converts an array of { key, value } entries to a plain object
+ * @param {Array} entries - Array of customizations or variant options
+ * @param {string} keyField - Field holding the entry name (e.g., "label", "optionName")
+ * @returns {Object} - Map of name to value
+ */
+function toObject(entries, keyField) {
+  return Object.fromEntries(
+    (entries || [])
+      .filter((entry) => entry?.[keyField])
+      .map((entry) => [entry[keyField], entry.value])
+  );
+}
+
+/**
+ * Retrieves a value by name, ignoring case
+ * @param {Object} values - Map of name to value
+ * @param {string} name - Name to retrieve (e.g., "Email", "Section")
+ * @returns {string} - Value, or empty string when missing
+ */
+function getValue(values, name) {
+  const key = Object.keys(values).find(
+    (k) => k.toLowerCase() === name.toLowerCase()
+  );
+  return key ? values[key] : "";
+}
+
+/**
+ * Create courseRef based on product name and section
+ * @param {string} courseName - Squarespace product name
+ * @param {string} section - Section variant, if any
+ * @returns {string} - courseRef path
+ */
+function generateCourseRef(courseName, section) {
+  return section ? `courses/${courseName} ${section}` : `courses/${courseName}`;
+}
+
+/**
+ * Creates a generic course model for a single line item
+ * @param {Object} order - Full Squarespace order object
+ * @param {Object} item - Line item representing a student enrollment
+ * @returns {Object} - Structured course + student model
+ */
+function createSingleStudentModel(order, item) {
+  const { values } = extractFormFields(
+    "Generic",
+    item.customizations,
+    `(order ${order.orderNumber}, line item ${item.id})`
+  );
+  const customizations = toObject(item.customizations, "label");
+  const variantOptions = toObject(item.variantOptions, "optionName");
+  const section = getValue(variantOptions, "Section");
+
+  return {
+    courseId: `${order.id}-${item.id}`,
+    orderNumber: order.orderNumber,
+    createdOn: order.createdOn,
+    courseName: item.productName,
+    courseType: "Generic",
+    courseRef: generateCourseRef(item.productName, section),
+
+    studentInfo: buildStudentInfo(values),
+
+    courseDetails: {
+      section,
+      plan: getValue(variantOptions, "Plan"),
+      variantOptions,
+      customizations: Object.fromEntries(
+        Object.entries(customizations).filter(([label]) => !SENSITIVE_LABEL.test(label))
+      ),
+      imageUrl: item.imageUrl,
+    },
+
+    metadata: {
+      lastUpdated: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Course type definition used when no registered course type matches
+ */
+export const genericCourseType = {
+  courseType: "Generic",
+  displayName: "Generic",
+  matches: () => true,
+  createModel: createSingleStudentModel,
+  // Unknown products can only be deduplicated by line item
+  getDedupeKey: (course) => `Generic|${course.courseId}`,
+  getCourseRef: (course) =>
+    generateCourseRef(course.courseName, course.courseDetails?.section),
+};
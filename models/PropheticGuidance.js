@@ -1,8 +1,11 @@
 /**
  * Prophetic Guidance Course Model
  * Converts Squarespace order data into a structured Prophetic Guidance course object.
+ * Form labels are mapped in config/formFields/PropheticGuidance.json
  */
 
+import { buildStudentInfo, extractFormFields } from "./formFields.js";
+
 /**
  * Checks if a course is an Associates Program course
  * @param {string} courseName - Name of the course from Squarespace
@@ -35,23 +38,19 @@ function extractModule(section) {
  * @returns {string} - Option value
  */
 function getVariantOption(options, key) {
-  const option = options.find(
-    (opt) => opt.optionName.toLowerCase() === key.toLowerCase()
+  const option = (options || []).find(
+    (opt) => opt?.optionName?.toLowerCase() === key.toLowerCase()
   );
-  return option ? option.value : "";
+  return option?.value ? String(option.value) : "";
 }
 
 /**
- * Retrieves a customization value by label
- * @param {Array} customizations - Array of customizations from the line item
- * @param {string} label - Label to retrieve (e.g., "Gender", "Age")
- * @returns {string} - Customization value
+ * Create courseRef based on course name and section
+ * @param {string} section - Section variant (e.g., "Module 1")
+ * @returns {string} - courseRef path
  */
-function getCustomization(customizations, label) {
-  const customization = customizations.find(
-    (cust) => cust.label.toLowerCase() === label.toLowerCase()
-  );
-  return customization ? customization.value : "";
+function generateCourseRef(section) {
+  return `courses/Prophetic Guidance ${section || ""}`;
 }
 
 /**
@@ -61,45 +60,25 @@ function getCustomization(customizations, label) {
  * @returns {Object} - Structured course + student model
  */
 function createSingleStudentModel(order, item) {
-  // Extract student information from customizations
-  const fullName = getCustomization(item.customizations, "Name") || "";
-  const nameParts = fullName.split(" ");
-  const firstName = nameParts[0] || "";
-  const lastName = nameParts.slice(1).join(" ") || "";
-  const email = getCustomization(item.customizations, "Email")?.trim();
-  const phone = getCustomization(item.customizations, "Phone")?.replace(/\s+/g, "") || "";
-  
-  // Extract other customizations
-  const gender = getCustomization(item.customizations, "Gender");
-  const age = getCustomization(item.customizations, "Age");
-  const studentType = getCustomization(item.customizations, "I am a");
-  const password = getCustomization(item.customizations, "Student Account Password");
-  
+  const { values } = extractFormFields(
+    "PropheticGuidance",
+    item.customizations,
+    `(order ${order.orderNumber}, line item ${item.id})`
+  );
+
   // Extract variant options
   const plan = getVariantOption(item.variantOptions, "Plan");
   const section = getVariantOption(item.variantOptions, "Section");
 
-  // Create courseRef based on courseName and section
-  const courseRef = `courses/Prophetic Guidance ${section}`;
-
   return {
     courseId: `${order.id}-${item.id}`,
     orderNumber: order.orderNumber,
     createdOn: order.createdOn,
     courseName: item.productName,
     courseType: "PropheticGuidance",
-    courseRef,
+    courseRef: generateCourseRef(section),
 
-    studentInfo: {
-      firstName,
-      lastName,
-      email,
-      phone,
-      gender,
-      age,
-      studentType,
-      password,
-    },
+    studentInfo: buildStudentInfo(values),
 
     guidanceDetails: {
       module: extractModule(section),
@@ -116,21 +95,14 @@ function createSingleStudentModel(order, item) {
 }
 
 /**
- * Creates structured Prophetic Guidance course models from the order
- * Each line item represents a different student
- * @param {Object} order - Full Squarespace order object
- * @returns {Array} - Array of structured course + student models
+ * Course type definition registered with the course registry
  */
-export function createPropheticGuidanceModel(order) {
-  // Filter for service line items
-  const serviceItems = order.lineItems.filter(
-    item => item.lineItemType === "SERVICE" && item.productName === "Prophetic Guidance"
-  );
-  
-  if (serviceItems.length === 0) {
-    return [];
-  }
-  
-  // Create a model for each service line item (each student)
-  return serviceItems.map(item => createSingleStudentModel(order, item));
-}
+export const propheticGuidanceCourseType = {
+  courseType: "PropheticGuidance",
+  displayName: "Prophetic Guidance",
+  matches: isPropheticGuidance,
+  createModel: createSingleStudentModel,
+  getDedupeKey: (course) =>
+    `PropheticGuidance|${course.courseName}|${course.guidanceDetails?.section}|${course.guidanceDetails?.plan}`,
+  getCourseRef: (course) => generateCourseRef(course.guidanceDetails?.section),
+};
@@ -3,24 +3,31 @@
  * Maps course data from Squarespace orders to the appropriate course model
  */
 
-import {
-  createAssociatesProgramModel,
-  isAssociatesProgram,
-} from "./AssociatesProgram.js";
-
-import {
-  createPropheticGuidanceModel,
-  isPropheticGuidance,
-} from "./PropheticGuidance.js";
-
+import { findCourseType } from "./courseRegistry.js";
 import { logger } from "../utils/logger.js";
 
+/**
+ * Amount paid for a line item
+ * @param {Object} item - Squarespace line item
+ * @returns {Object} - { value, currency }
+ */
+function getAmountPaid(item) {
+  const unitPrice = parseFloat(item.unitPricePaid?.value) || 0;
+  return {
+    value: Math.round(unitPrice * (item.quantity || 1) * 100) / 100,
+    currency: item.unitPricePaid?.currency || null,
+  };
+}
+
 /**
  * Maps a single Squarespace order to its appropriate course model(s)
  * @param {Object} order - Full Squarespace order object
+ * @param {Object} [options]
+ * @param {Function} [options.onReject] - Called with { order, lineItem, stage, reason } for
+ *   each line item that cannot be mapped
  * @returns {Array} - Array of mapped course objects for all course types in the order
  */
-export function mapCourseToModel(order) {
+export function mapCourseToModel(order, { onReject } = {}) {
   if (!order?.lineItems?.length) {
     logger.warn("Invalid order data provided to mapper");
     return null;
@@ -42,37 +49,29 @@ export function mapCourseToModel(order) {
   
   // Create a clone of the order for each course type
   for (const [courseName, items] of Object.entries(coursesByType)) {
-    try {
-      // Create a modified order with only the line items for this course type
-      const courseOrder = {
-        ...order,
-        lineItems: items
-      };
-      
-      let mappedCourses = [];
-      
-      if (isAssociatesProgram(courseName)) {
-        logger.info(`Mapping course "${courseName}" to Associates Program model`);
-        mappedCourses = createAssociatesProgramModel(courseOrder); // Returns an array
-      } else if (isPropheticGuidance(courseName)) {
-        logger.info(`Mapping course "${courseName}" to Prophetic Guidance model`);
-        mappedCourses = createPropheticGuidanceModel(courseOrder); // Returns an array
-      } else {
-        logger.info(`Course "${courseName}" does not match any specific model, using generic format`);
-        // Handle generic course (if needed)
-        continue;
-      }
-      
-      // Ensure we always have an array
-      if (!Array.isArray(mappedCourses)) {
-        mappedCourses = [mappedCourses];
+    // Create a modified order with only the line items for this course type
+    const courseOrder = {
+      ...order,
+      lineItems: items
+    };
+    
+    const courseType = findCourseType(courseName);
+    logger.info(`Mapping course "${courseName}" to ${courseType.displayName} model`);
+
+    // Create a model for each service line item (each student), recording
+    // what was paid so payment plan installments can be tracked. A line item
+    // that fails to map does not stop the others.
+    items.forEach(item => {
+      try {
+        allMappedCourses.push({
+          ...courseType.createModel(courseOrder, item),
+          amountPaid: getAmountPaid(item),
+        });
+      } catch (error) {
+        logger.error(`Error mapping course "${courseName}" (line item ${item.id}):`, error);
+        onReject?.({ order, lineItem: item, stage: "map", reason: error.message });
       }
-      
-      // Add all mapped courses to the result array
-      allMappedCourses.push(...mappedCourses);
-    } catch (error) {
-      logger.error(`Error mapping course "${courseName}":`, error);
-    }
+    });
   }
   
   return allMappedCourses;
@@ -0,0 +1,87 @@
+/**
+ * Course Type Registry
+ * Central list of course models. Each course type provides:
+ * - courseType: identifier stored on course records
+ * - displayName: human readable name used in logs
+ * - matches(productName): whether a Squarespace product belongs to this type
+ * - createModel(order, item): builds the course + student record for a line item
+ * - getDedupeKey(course): key identifying the same enrollment across orders
+ * - getCourseRef(course): path of the course document the enrollment points to
+ *
+ * Adding a new course means adding a model module and registering it below.
+ */
+
+import { associatesProgramCourseType } from "./AssociatesProgram.js";
+import { propheticGuidanceCourseType } from "./PropheticGuidance.js";
+import { genericCourseType } from "./GenericCourse.js";
+
+const REQUIRED_FIELDS = [
+  "courseType",
+  "matches",
+  "createModel",
+  "getDedupeKey",
+  "getCourseRef",
+];
+
+const courseTypes = [];
+
+/**
+ * Register a course type. Types are matched in registration order.
+ * @param {Object} definition - Course type definition
+ */
+export function registerCourseType(definition) {
+  const missing = REQUIRED_FIELDS.filter((field) => !definition?.[field]);
+  if (missing.length > 0) {
+    throw new Error(
+      `Invalid course type definition: missing ${missing.join(", ")}`
+    );
+  }
+
+  if (courseTypes.some((type) => type.courseType === definition.courseType)) {
+    throw new Error(`Course type "${definition.courseType}" is already registered`);
+  }
+
+  courseTypes.push({ displayName: definition.courseType, ...definition });
+}
+
+/**
+ * Find the course type for a Squarespace product, falling back to the generic model
+ * @param {string} productName - Squarespace product name
+ * @returns {Object} - Course type definition
+ */
+export function findCourseType(productName) {
+  return courseTypes.find((type) => type.matches(productName)) || genericCourseType;
+}
+
+/**
+ * Look up a course type by the courseType stored on a course record
+ * @param {string} courseType - Course type identifier (e.g., "AssociatesProgram")
+ * @returns {Object|null} - Course type definition, or null if unknown
+ */
+export function getCourseType(courseType) {
+  if (courseType === genericCourseType.courseType) return genericCourseType;
+  return courseTypes.find((type) => type.courseType === courseType) || null;
+}
+
+/**
+ * Get the key used to detect duplicate enrollments for a course record
+ * @param {Object} course - Course record
+ * @returns {string|null} - Dedupe key, or null if the course type is unknown
+ */
+export function getCourseDedupeKey(course) {
+  const type = getCourseType(course?.courseType);
+  return type ? type.getDedupeKey(course) : null;
+}
+
+/**
+ * Generate the courseRef for a course record
+ * @param {Object} course - Course record
+ * @returns {string|null} - courseRef path, or null if the course type is unknown
+ */
+export function generateCourseRef(course) {
+  const type = getCourseType(course?.courseType);
+  return type ? type.getCourseRef(course) : null;
+}
+
+registerCourseType(associatesProgramCourseType);
+registerCourseType(propheticGuidanceCourseType);
@@ -0,0 +1,213 @@
+/**
+ * Form Field Mapping
+ * Maps Squarespace customization labels to course model fields using the
+ * per-course JSON configs in config/formFields. Configs are loaded and
+ * validated once at startup so a broken config fails fast.
+ */
+
+import fs from "fs";
+import { logger } from "../utils/logger.js";
+
+const CONFIG_DIR = new URL("../config/formFields/", import.meta.url);
+
+/**
+ * Coercions applied to raw customization values, keyed by field type
+ */
+const COERCIONS = {
+  string: (value) => String(value).trim(),
+  email: (value) => String(value).trim(),
+  phone: (value) => String(value).replace(/\s+/g, ""),
+  number: (value) => {
+    const number = Number(String(value).trim());
+    return Number.isFinite(number) ? number : null;
+  },
+};
+
+// Value used when a field is missing and no default is configured
+const EMPTY_VALUES = {
+  string: "",
+  email: "",
+  phone: "",
+  number: null,
+};
+
+/**
+ * Normalize a label for comparison (case and whitespace insensitive)
+ * @param {string} label - Customization label
+ * @returns {string} - Normalized label
+ */
+function normalizeLabel(label) {
+  return String(label).toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Validate a form field config and build its label lookup
+ * @param {Object} config - Parsed config file contents
+ * @param {string} source - File name, used in error messages
+ * @returns {Object} - { courseType, fields, labelIndex }
+ */
+export function validateFormFieldConfig(config, source = "config") {
+  const errors = [];
+
+  if (!config || typeof config.courseType !== "string" || !config.courseType) {
+    errors.push("courseType must be a non-empty string");
+  }
+  if (!config?.fields || typeof config.fields !== "object") {
+    errors.push("fields must be an object");
+  }
+
+  const fields = {};
+  const labelIndex = new Map();
+
+  for (const [name, definition] of Object.entries(config?.fields || {})) {
+    const type = definition?.type || "string";
+
+    if (!COERCIONS[type]) {
+      errors.push(`field "${name}" has unknown type "${type}"`);
+    }
+    if (
+      !Array.isArray(definition?.labels) ||
+      definition.labels.length === 0 ||
+      definition.labels.some((label) => typeof label !== "string" || !label.trim())
+    ) {
+      errors.push(`field "${name}" must have a non-empty labels array of strings`);
+      continue;
+    }
+
+    for (const label of definition.labels) {
+      const normalized = normalizeLabel(label);
+      if (labelIndex.has(normalized) && labelIndex.get(normalized) !== name) {
+        errors.push(
+          `label "${label}" is mapped to both "${labelIndex.get(normalized)}" and "${name}"`
+        );
+      }
+      labelIndex.set(normalized, name);
+    }
+
+    fields[name] = {
+      labels: definition.labels,
+      type,
+      required: definition.required === true,
+      default: definition.default,
+    };
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid form field config ${source}: ${errors.join("; ")}`);
+  }
+
+  return { courseType: config.courseType, fields, labelIndex };
+}
+
+/**
+ * Load and validate every config file in config/formFields
+ * @returns {Map<string, Object>} - Validated configs keyed by courseType
+ */
+function loadFormFieldConfigs() {
+  const configs = new Map();
+
+  const files = fs
+    .readdirSync(CONFIG_DIR)
+    .filter((file) => file.endsWith(".json"));
+
+  for (const file of files) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(new URL(file, CONFIG_DIR), "utf8"));
+    } catch (error) {
+      throw new Error(`Invalid form field config ${file}: ${error.message}`);
+    }
+
+    const config = validateFormFieldConfig(parsed, file);
+    if (configs.has(config.courseType)) {
+      throw new Error(`Duplicate form field config for course type "${config.courseType}"`);
+    }
+    configs.set(config.courseType, config);
+  }
+
+  logger.debug(`Loaded form field configs for: ${[...configs.keys()].join(", ")}`);
+  return configs;
+}
+
+const formFieldConfigs = loadFormFieldConfigs();
+
+/**
+ * Get the validated form field config for a course type
+ * @param {string} courseType - Course type identifier (e.g., "AssociatesProgram")
+ * @returns {Object} - Validated config
+ */
+export function getFormFieldConfig(courseType) {
+  const config = formFieldConfigs.get(courseType);
+  if (!config) {
+    throw new Error(`No form field config found for course type "${courseType}"`);
+  }
+  return config;
+}
+
+/**
+ * Extract model fields from a line item's customizations
+ * @param {string} courseType - Course type whose config should be used
+ * @param {Array} customizations - Squarespace customizations ({ label, value })
+ * @param {string} [context] - Description of the line item, used in log lines
+ * @returns {Object} - { values, missing } where missing lists required fields with no value
+ */
+export function extractFormFields(courseType, customizations, context = "") {
+  const { fields, labelIndex } = getFormFieldConfig(courseType);
+
+  // Collect raw values by field name using normalized labels
+  const rawValues = {};
+  (customizations || []).forEach((customization) => {
+    if (!customization?.label) return;
+    const field = labelIndex.get(normalizeLabel(customization.label));
+    if (field && rawValues[field] === undefined) {
+      rawValues[field] = customization.value;
+    }
+  });
+
+  const values = {};
+  const missing = [];
+
+  for (const [name, definition] of Object.entries(fields)) {
+    const raw = rawValues[name];
+    const hasValue = raw !== undefined && raw !== null && String(raw).trim() !== "";
+
+    if (hasValue) {
+      values[name] = COERCIONS[definition.type](raw);
+      if (values[name] === null) {
+        logger.warn(`Could not convert "${raw}" to ${definition.type} for field "${name}" ${context}`.trim());
+      }
+    } else {
+      values[name] = definition.default ?? EMPTY_VALUES[definition.type];
+      if (definition.required) missing.push(name);
+    }
+  }
+
+  if (missing.length > 0) {
+    logger.warn(
+      `Missing required ${courseType} form fields: ${missing.join(", ")} ${context}`.trim()
+    );
+  }
+
+  return { values, missing };
+}
+
+/**
+ * Build the studentInfo block shared by all course models from extracted fields
+ * @param {Object} values - Values returned by extractFormFields
+ * @returns {Object} - studentInfo
+ */
+export function buildStudentInfo(values) {
+  const nameParts = (values.name || "").split(" ");
+
+  return {
+    firstName: nameParts[0] || "",
+    lastName: nameParts.slice(1).join(" ") || "",
+    email: values.email,
+    phone: values.phone,
+    gender: values.gender,
+    age: values.age,
+    studentType: values.studentType,
+    password: values.password,
+    preferredLanguage: values.preferredLanguage || "",
+  };
+}
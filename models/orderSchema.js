@@ -0,0 +1,248 @@
+/**
+ * Order Schema
+ * Validates Squarespace orders before they are mapped and the course records
+ * produced from them before they are saved. Instead of throwing, validation
+ * returns a list of violations ({ lineItemId, field, rule, message }) so a bad
+ * line item can be reported and dead-lettered while the rest of the order goes on.
+ * Section and plan checks are opt-in (config/orderSchema.json): by default any
+ * section is accepted, and a plan no rule in config/paymentPlans.json matches
+ * is only logged.
+ */
+
+import fs from "fs";
+import { logger } from "../utils/logger.js";
+import { findCourseType } from "./courseRegistry.js";
+import { getPaymentPlan } from "./paymentPlans.js";
+
+const CONFIG_FILE = new URL("../config/orderSchema.json", import.meta.url);
+
+// Deliberately loose: one @, no spaces, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Field rules. Each field has a type ("string", "id" for a string or number,
+ * "array", "email") and whether it is required; arrays may give a schema for
+ * their entries.
+ */
+const CUSTOMIZATION_SCHEMA = {
+  label: { type: "string", required: true },
+};
+
+const VARIANT_OPTION_SCHEMA = {
+  optionName: { type: "string", required: true },
+};
+
+const ORDER_SCHEMA = {
+  id: { type: "id", required: true },
+  orderNumber: { type: "id", required: true },
+  lineItems: { type: "array", required: true },
+};
+
+const LINE_ITEM_SCHEMA = {
+  id: { type: "id", required: true },
+  productName: { type: "string", required: true },
+  customizations: { type: "array", entries: CUSTOMIZATION_SCHEMA },
+  variantOptions: { type: "array", entries: VARIANT_OPTION_SCHEMA },
+};
+
+const COURSE_RECORD_SCHEMA = {
+  courseId: { type: "string", required: true },
+  courseType: { type: "string", required: true },
+  courseRef: { type: "string", required: true },
+  "studentInfo.email": { type: "email", required: true },
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  id: (value) => typeof value === "string" || typeof value === "number",
+  array: Array.isArray,
+  email: (value) => typeof value === "string" && EMAIL_PATTERN.test(value.trim()),
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  id: "a string or number",
+  array: "an array",
+  email: "a valid email address",
+};
+
+/**
+ * Load and validate the known section and plan values
+ * @returns {Object} - { sections: Map<courseType, { required, patterns }>, requireKnownPlan }
+ */
+function loadOrderSchemaConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+
+  const sections = new Map();
+  for (const [courseType, rule] of Object.entries(config.sections || {})) {
+    if (rule.patterns !== undefined && !Array.isArray(rule.patterns)) {
+      throw new Error(`Invalid section rule for ${courseType} in orderSchema.json: patterns must be an array`);
+    }
+    sections.set(courseType, {
+      required: rule.required === true,
+      patterns: (rule.patterns || []).map((pattern) => new RegExp(pattern, "i")),
+    });
+  }
+
+  return { sections, requireKnownPlan: config.plans?.requireKnown === true };
+}
+
+const { sections: sectionRules, requireKnownPlan } = loadOrderSchemaConfig();
+
+/**
+ * Read a possibly nested field ("studentInfo.email")
+ * @param {Object} value - Object to read from
+ * @param {string} path - Dot-separated field path
+ * @returns {*}
+ */
+function getField(value, path) {
+  return path.split(".").reduce((current, key) => current?.[key], value);
+}
+
+/**
+ * Check an object against a schema
+ * @param {Object} value - Object to check
+ * @param {Object} schema - Field rules
+ * @param {string} prefix - Path of the object, prepended to field names
+ * @returns {Array} - [{ field, rule, message }]
+ */
+function checkSchema(value, schema, prefix = "") {
+  const violations = [];
+
+  for (const [path, rule] of Object.entries(schema)) {
+    const field = `${prefix}${path}`;
+    const fieldValue = getField(value, path);
+    const isEmpty =
+      fieldValue === undefined ||
+      fieldValue === null ||
+      (typeof fieldValue === "string" && fieldValue.trim() === "");
+
+    if (isEmpty) {
+      if (rule.required) violations.push({ field, rule: "required", message: `${field} is required` });
+      continue;
+    }
+    if (!TYPE_CHECKS[rule.type](fieldValue)) {
+      violations.push({ field, rule: "type", message: `${field} must be ${TYPE_NAMES[rule.type]}` });
+      continue;
+    }
+    if (rule.entries) {
+      fieldValue.forEach((entry, index) => {
+        violations.push(...checkSchema(entry, rule.entries, `${field}[${index}].`));
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Value of a variant option, ignoring case and malformed options
+ * @param {Array} options - variantOptions array
+ * @param {string} name - Option name (e.g., "Section")
+ * @returns {string} - Value, or empty string when missing
+ */
+function getVariantValue(options, name) {
+  const option = (Array.isArray(options) ? options : []).find(
+    (opt) => typeof opt?.optionName === "string" && opt.optionName.toLowerCase() === name.toLowerCase()
+  );
+  return option?.value ? String(option.value).trim() : "";
+}
+
+/**
+ * Validate a Squarespace line item, including its section and plan values
+ * @param {Object} item - Line item
+ * @returns {Array} - [{ lineItemId, field, rule, message }]
+ */
+export function validateLineItem(item) {
+  if (!item || typeof item !== "object") {
+    return [{ lineItemId: null, field: "lineItem", rule: "type", message: "line item must be an object" }];
+  }
+
+  const violations = checkSchema(item, LINE_ITEM_SCHEMA);
+
+  if (typeof item.productName === "string" && item.productName.trim()) {
+    const { courseType } = findCourseType(item.productName);
+    const sectionRule = sectionRules.get(courseType);
+    const section = getVariantValue(item.variantOptions, "Section");
+
+    if (sectionRule?.required && !section) {
+      violations.push({
+        field: "variantOptions.Section",
+        rule: "required",
+        message: `Section is required for ${courseType}`,
+      });
+    } else if (section && sectionRule?.patterns.length > 0 && !sectionRule.patterns.some((regex) => regex.test(section))) {
+      violations.push({
+        field: "variantOptions.Section",
+        rule: "known-value",
+        message: `Unknown ${courseType} section "${section}"`,
+      });
+    }
+  }
+
+  const plan = getVariantValue(item.variantOptions, "Plan");
+  if (plan && !getPaymentPlan(plan)) {
+    const message = `Unknown plan "${plan}" (no rule in paymentPlans.json matches)`;
+    if (requireKnownPlan) {
+      violations.push({ field: "variantOptions.Plan", rule: "known-value", message });
+    } else {
+      // Still enrolled, but installments cannot be tracked for it
+      logger.warn(`${message} on line item ${item.id}`);
+    }
+  }
+
+  return violations.map((violation) => ({ lineItemId: item.id ?? null, ...violation }));
+}
+
+/**
+ * Validate a Squarespace order and its service line items
+ * @param {Object} order - Squarespace order
+ * @returns {Object} - { order: [...violations], lineItems: Map<lineItemId, [...violations]> };
+ *   order violations mean the whole order cannot be mapped
+ */
+export function validateOrder(order) {
+  if (!order || typeof order !== "object") {
+    return {
+      order: [{ lineItemId: null, field: "order", rule: "type", message: "order must be an object" }],
+      lineItems: new Map(),
+    };
+  }
+
+  const orderViolations = checkSchema(order, ORDER_SCHEMA).map((violation) => ({
+    lineItemId: null,
+    ...violation,
+  }));
+  const lineItems = new Map();
+
+  if (Array.isArray(order.lineItems)) {
+    order.lineItems
+      .filter((item) => item?.lineItemType === "SERVICE")
+      .forEach((item) => {
+        const violations = validateLineItem(item);
+        if (violations.length > 0) lineItems.set(item.id, violations);
+      });
+  }
+
+  return { order: orderViolations, lineItems };
+}
+
+/**
+ * Validate a course record produced by a course model
+ * @param {Object} record - Course + student record
+ * @returns {Array} - [{ lineItemId, field, rule, message }]
+ */
+export function validateCourseRecord(record) {
+  return checkSchema(record, COURSE_RECORD_SCHEMA).map((violation) => ({
+    lineItemId: null,
+    ...violation,
+  }));
+}
+
+/**
+ * Readable summary of violations, for logs and dead letter reasons
+ * @param {Array} violations - Violations from the validate functions
+ * @returns {string} - e.g. "studentInfo.email is required; Unknown plan "Weekly""
+ */
+export function formatViolations(violations) {
+  return violations.map((violation) => violation.message).join("; ");
+}
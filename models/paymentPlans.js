@@ -0,0 +1,59 @@
+/**
+ * Payment Plans
+ * Interprets the "Plan" variant option of a course (e.g. "3 Installments",
+ * "Full") using the rules in config/paymentPlans.json.
+ * Rules are tried in order; the first pattern that matches the plan name wins.
+ */
+
+import fs from "fs";
+
+const CONFIG_FILE = new URL("../config/paymentPlans.json", import.meta.url);
+
+/**
+ * Load and validate the payment plan rules
+ * @returns {Object} - { graceDays, rules }
+ */
+function loadPaymentPlanConfig() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+
+  const rules = (config.plans || []).map((plan, index) => {
+    if (typeof plan.pattern !== "string" || plan.installments === undefined) {
+      throw new Error(
+        `Invalid payment plan rule ${index} in paymentPlans.json: pattern and installments are required`
+      );
+    }
+    return { ...plan, regex: new RegExp(plan.pattern, "i") };
+  });
+
+  return { graceDays: config.graceDays ?? 7, rules };
+}
+
+const { graceDays, rules } = loadPaymentPlanConfig();
+
+// Days after a due date before an installment counts as overdue
+export const INSTALLMENT_GRACE_DAYS = graceDays;
+
+/**
+ * Parse a plan name into its installment schedule
+ * @param {string} planName - Value of the "Plan" variant option
+ * @returns {Object|null} - { installments, intervalDays }, or null if no rule matches
+ */
+export function getPaymentPlan(planName) {
+  if (!planName) return null;
+
+  for (const rule of rules) {
+    const match = rule.regex.exec(planName);
+    if (!match) continue;
+
+    // "$1" takes the installment count from the first capture group
+    const installments =
+      typeof rule.installments === "string"
+        ? parseInt(rule.installments.replace(/\$(\d)/, (_, group) => match[group]))
+        : rule.installments;
+
+    if (!Number.isInteger(installments) || installments < 1) return null;
+    return { installments, intervalDays: rule.intervalDays || 30 };
+  }
+
+  return null;
+}
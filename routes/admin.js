@@ -0,0 +1,260 @@
+import express from "express";
+import { requireAdmin } from "../middleware/auth.js";
+import { createRateLimiter } from "../middleware/rateLimit.js";
+import { getFirestore } from "../services/firebaseApp.js";
+import { getStudentDoc, searchStudents } from "../services/students.js";
+import { addStudentCourse, removeStudentCourse } from "../services/enrollments.js";
+import { processEmailOutbox, resendWelcomeEmails } from "../services/emailOutbox.js";
+import { remapOrder, replayDeadLetter } from "../services/orderSync.js";
+import {
+  DEAD_LETTER_STATUSES,
+  dismissDeadLetter,
+  getDeadLetter,
+  listDeadLetters,
+} from "../services/deadLetters.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Admin API for student and enrollment management, mounted at /admin.
+ * Every route requires a Firebase ID token with the admin claim (see
+ * middleware/auth.js), and changes count towards the caller's rate limit.
+ * Students are addressed by authorizedUsers document ID or by email.
+ */
+
+const MAX_SEARCH_RESULTS = 100;
+const MAX_DEAD_LETTERS = 200;
+
+/**
+ * Student document as returned by the API
+ * @param {Object} studentDoc - Document snapshot
+ * @returns {Object} - { id, ...data }
+ */
+function toStudent(studentDoc) {
+  return { id: studentDoc.id, ...studentDoc.data() };
+}
+
+/**
+ * Send a 404 for a dead letter that does not exist
+ * @param {Object} res - Express response
+ * @param {string} id - Dead letter ID from the request
+ */
+function deadLetterNotFound(res, id) {
+  res.status(404).send({ status: "error", message: `Dead letter ${id} not found` });
+}
+
+/**
+ * Send a 404 for a student that does not exist
+ * @param {Object} res - Express response
+ * @param {string} id - Document ID or email from the request
+ */
+function studentNotFound(res, id) {
+  res.status(404).send({ status: "error", message: `Student ${id} not found` });
+}
+
+/**
+ * Create the admin router
+ * @param {Object} [options]
+ * @param {Function} [options.rateLimit] - Rate limiting middleware for requests that change data
+ * @returns {Object} - Express router
+ */
+export function createAdminRouter({ rateLimit = createRateLimiter() } = {}) {
+  const router = express.Router();
+  router.use(requireAdmin);
+  router.use((req, res, next) => (req.method === "GET" ? next() : rateLimit(req, res, next)));
+
+  // Search students by email or name prefix (?q=...&limit=20)
+  router.get("/students", async (req, res) => {
+    try {
+      if (!req.query.q) {
+        return res.status(400).send({ status: "error", message: "Provide a search term in q" });
+      }
+      const limit = Math.min(parseInt(req.query.limit) || 20, MAX_SEARCH_RESULTS);
+      const students = await searchStudents(getFirestore(), req.query.q, { limit });
+      res.status(200).send({ status: "OK", students: students.map(toStudent) });
+    } catch (error) {
+      logger.error("Failed to search students:", error);
+      res.status(500).send({ status: "error", message: error.message });
+    }
+  });
+
+  // A student's details and courses
+  router.get("/students/:id", async (req, res) => {
+    try {
+      const studentDoc = await getStudentDoc(getFirestore(), req.params.id);
+      if (!studentDoc) return studentNotFound(res, req.params.id);
+      res.status(200).send({ status: "OK", student: toStudent(studentDoc) });
+    } catch (error) {
+      logger.error(`Failed to get student ${req.params.id}:`, error);
+      res.status(500).send({ status: "error", message: error.message });
+    }
+  });
+
+  // Only the courses of a student
+  router.get("/students/:id/courses", async (req, res) => {
+    try {
+      const studentDoc = await getStudentDoc(getFirestore(), req.params.id);
+      if (!studentDoc) return studentNotFound(res, req.params.id);
+      res.status(200).send({ status: "OK", courses: studentDoc.data().courses || [] });
+    } catch (error) {
+      logger.error(`Failed to get courses of student ${req.params.id}:`, error);
+      res.status(500).send({ status: "error", message: error.message });
+    }
+  });
+
+  // Add a course: { productName, variantOptions: { Section, Plan }, customizations: { label: value } }
+  router.post("/students/:id/courses", async (req, res) => {
+    const { productName, variantOptions, customizations } = req.body || {};
+    if (!productName) {
+      return res.status(400).send({ status: "error", message: "productName is required" });
+    }
+
+    try {
+      const result = await addStudentCourse(getFirestore(), req.params.id, {
+        productName,
+        variantOptions,
+        customizations,
+      });
+      if (!result) return studentNotFound(res, req.params.id);
+      if (!result.added) {
+        return res
+          .status(409)
+          .send({ status: "error", message: "The student is already enrolled in this course" });
+      }
+      logger.info(`Course ${result.course.courseId} added by admin ${req.admin.email || req.admin.uid}`);
+      res.status(201).send({ status: "success", docId: result.docId, course: result.course });
+    } catch (error) {
+      if (error.status === 400) {
+        return res
+          .status(400)
+          .send({ status: "error", message: error.message, violations: error.violations });
+      }
+      logger.error(`Failed to add course to student ${req.params.id}:`, error);
+      res.status(500).send({ status: "error", message: error.message });
+    }
+  });
+
+  // Remove a course; it stays on the student with status "revoked"
+  router.delete("/students/:id/courses/:courseId", async (req, res) => {
+    try {
+      const result = await removeStudentCourse(getFirestore(), req.params.id, req.params.courseId);
+      if (!result) return studentNotFound(res, req.params.id);
+      if (!result.found) {
+        return res
+          .status(404)
+          .send({ status: "error", message: `Course ${req.params.courseId} not found` });
+      }
+      if (result.removed) {
+        logger.info(`Course ${result.courseId} removed by admin ${req.admin.email || req.admin.uid}`);
+      }
+      res.status(200).send({ status: "success", ...result });
+    } catch (error) {
+      logger.error(`Failed to remove course from student ${req.params.id}:`, error);
+      res.status(500).send({ status: "error", message: error.message });
+    }
+  });
+
+  // Resend the welcome email: { resetPassword: true } includes a password reset link
+  router.post("/students/:id/welcome-email", async (req, res) => {
+    try {
+      const db = getFirestore();
+      const studentDoc = await getStudentDoc(db, req.params.id);
+      const email = studentDoc?.data().studentInfo?.email;
+      if (!email) return studentNotFound(res, req.params.id);
+
+      const queued = await resendWelcomeEmails(db, {
+        emails: [email],
+        resetPassword: req.body?.resetPassword === true,
+      });
+      const delivery = await processEmailOutbox(db);
+      res.status(200).send({ status: "success", ...queued, delivery });
+    } catch (error) {
+      logger.error(`Failed to resend welcome email to student ${req.params.id}:`, error);
+      res.status(500).send({ status: "error", message: error.message });
+    }
+  });
+
+  // Fetch a Squarespace order and map it again, even if it was processed before (?dryRun=true)
+  router.post("/orders/:orderId/remap", async (req, res) => {
+    try {
+      const dryRun = req.query.dryRun === "true";
+      const result = await remapOrder(getFirestore(), req.params.orderId, { dryRun });
+      res.status(200).send({ status: "success", ...result });
+    } catch (error) {
+      logger.error(`Failed to re-run mapping for order ${req.params.orderId}:`, error);
+      // 409 while another sync holds the sync lock
+      const status = [404, 409].includes(error.status) ? error.status : 500;
+      res.status(status).send({ status: "error", message: error.message });
+    }
+  });
+
+  // List dead letters: ?status=open|replayed|dismissed|all (default open), ?limit
+  router.get("/dead-letters", async (req, res) => {
+    const status = req.query.status || "open";
+    if (status !== "all" && !DEAD_LETTER_STATUSES.includes(status)) {
+      return res.status(400).send({ status: "error", message: `Unknown status "${status}"` });
+    }
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 50, MAX_DEAD_LETTERS);
+      const deadLetters = await listDeadLetters(getFirestore(), { status, limit });
+      res.status(200).send({ status: "success", deadLetters });
+    } catch (error) {
+      logger.error("Failed to list dead letters:", error);
+      res.status(500).send({ status: "error", message: error.message });
+    }
+  });
+
+  // Get a dead letter with the Squarespace payload it was rejected with
+  router.get("/dead-letters/:id", async (req, res) => {
+    try {
+      const deadLetter = await getDeadLetter(getFirestore(), req.params.id);
+      if (!deadLetter) return deadLetterNotFound(res, req.params.id);
+      res.status(200).send({ status: "success", deadLetter });
+    } catch (error) {
+      logger.error(`Failed to get dead letter ${req.params.id}:`, error);
+      res.status(500).send({ status: "error", message: error.message });
+    }
+  });
+
+  // Replay a dead letter (?dryRun=true), with optional { fix: { order, lineItem } } overrides
+  router.post("/dead-letters/:id/replay", async (req, res) => {
+    try {
+      const fix = req.body?.fix || null;
+      if (fix !== null && typeof fix !== "object") {
+        return res
+          .status(400)
+          .send({ status: "error", message: "fix must be an object with order and/or lineItem fields" });
+      }
+      const result = await replayDeadLetter(getFirestore(), req.params.id, {
+        fix,
+        by: req.client.id,
+        dryRun: req.query.dryRun === "true",
+      });
+      if (!result) return deadLetterNotFound(res, req.params.id);
+      // A replay that is rejected again leaves the dead letter open
+      res
+        .status(result.replayed || result.dryRun ? 200 : 422)
+        .send({ status: result.replayed || result.dryRun ? "success" : "error", ...result });
+    } catch (error) {
+      logger.error(`Failed to replay dead letter ${req.params.id}:`, error);
+      res.status(error.status === 409 ? 409 : 500).send({ status: "error", message: error.message });
+    }
+  });
+
+  // Dismiss a dead letter that should not be replayed: { note }
+  router.post("/dead-letters/:id/dismiss", async (req, res) => {
+    try {
+      const deadLetter = await dismissDeadLetter(getFirestore(), req.params.id, {
+        note: req.body?.note || null,
+        by: req.client.id,
+      });
+      if (!deadLetter) return deadLetterNotFound(res, req.params.id);
+      const { payload: _, ...entry } = deadLetter;
+      res.status(200).send({ status: "success", deadLetter: entry });
+    } catch (error) {
+      logger.error(`Failed to dismiss dead letter ${req.params.id}:`, error);
+      res.status(500).send({ status: "error", message: error.message });
+    }
+  });
+
+  return router;
+}
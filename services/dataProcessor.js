@@ -1,12 +1,23 @@
 import { logger } from "../utils/logger.js";
 import { mapCourseToModel } from "../models/courseMapper.js";
+import {
+  formatViolations,
+  validateCourseRecord,
+  validateOrder,
+} from "../models/orderSchema.js";
 
 /**
- * Process and format Squarespace order data for Firebase storage
+ * Process and format Squarespace order data for Firebase storage.
+ * Orders and course records are checked against the order schema first
+ * (see models/orderSchema.js); invalid line items are rejected, not mapped.
  * @param {Array} orders - Raw orders from Squarespace API
+ * @param {Object} [options]
+ * @param {Function} [options.onReject] - Called with { order, lineItem, stage, reason, violations } for
+ *   each order or line item that cannot be saved, so it can be dead-lettered (see services/deadLetters.js);
+ *   lineItem is null when the whole order failed, violations is set for stage "validate"
  * @returns {Array} - Processed course objects ready for Firebase
  */
-export async function processOrderData(orders) {
+export async function processOrderData(orders, { onReject } = {}) {
   try {
     logger.info("Processing order data");
 
@@ -18,30 +29,65 @@ export async function processOrderData(orders) {
     const processedCourses = [];
 
     orders.forEach((order) => {
+      // Record a line item (or the whole order, when lineItem is null) that failed validation
+      const rejectInvalid = (lineItem, violations) => {
+        const reason = formatViolations(violations);
+        logger.warn(
+          `Order ${order?.orderNumber ?? order?.id}${lineItem ? ` line item ${lineItem.id}` : ""} failed validation: ${reason}`
+        );
+        onReject?.({ order, lineItem, stage: "validate", reason, violations });
+      };
+
       try {
+        const violations = validateOrder(order);
+        if (violations.order.length > 0) {
+          rejectInvalid(null, violations.order);
+          return;
+        }
+
         // Check if the order has service line items
-        const serviceItems = order.lineItems?.filter(
-          item => item.lineItemType === "SERVICE"
+        const serviceItems = order.lineItems.filter(
+          item => item?.lineItemType === "SERVICE"
         );
 
-        if (!serviceItems || serviceItems.length === 0) {
+        if (serviceItems.length === 0) {
           logger.warn(`Order ${order.id} has no service items, skipping`);
           return;
         }
 
+        // Line items that fail validation are rejected; the rest of the order is mapped
+        const validItems = serviceItems.filter((item) => {
+          if (!violations.lineItems.has(item.id)) return true;
+          rejectInvalid(item, violations.lineItems.get(item.id));
+          return false;
+        });
+        if (validItems.length === 0) return;
+
         // Map the order to course models (may return multiple students for Associates Program)
-        const mapped = mapCourseToModel(order);
+        const mapped = mapCourseToModel(
+          { ...order, lineItems: validItems },
+          { onReject: (rejection) => onReject?.({ ...rejection, order }) }
+        );
         
         // Handle both array returns (multiple students) and single object returns
-        if (Array.isArray(mapped)) {
-          mapped.forEach(studentCourse => {
-            processedCourses.push(studentCourse);
-          });
-        } else if (mapped) {
-          processedCourses.push(mapped);
-        }
+        const studentCourses = Array.isArray(mapped) ? mapped : mapped ? [mapped] : [];
+        studentCourses.forEach(studentCourse => {
+          // e.g. without a valid email the course cannot be tied to a student
+          const recordViolations = validateCourseRecord(studentCourse);
+          if (recordViolations.length > 0) {
+            // courseId is `${order.id}-${lineItem.id}` (see models/)
+            const lineItem = validItems.find((item) => studentCourse.courseId === `${order.id}-${item.id}`) || null;
+            rejectInvalid(
+              lineItem,
+              recordViolations.map((violation) => ({ ...violation, lineItemId: lineItem?.id ?? null }))
+            );
+            return;
+          }
+          processedCourses.push(studentCourse);
+        });
       } catch (err) {
-        logger.error(`Error processing order ${order.id}:`, err);
+        logger.error(`Error processing order ${order?.id}:`, err);
+        onReject?.({ order, lineItem: null, stage: "map", reason: err.message });
       }
     });
 
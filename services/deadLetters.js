@@ -0,0 +1,199 @@
+import { logger } from "../utils/logger.js";
+
+/**
+ * Dead letters: orders and line items that could not be mapped or saved.
+ * Each one is stored in the deadLetters collection with the raw Squarespace
+ * payload (without form passwords), the stage that rejected it and why, so it can be inspected, fixed
+ * and replayed (see replayDeadLetter in orderSync.js) or dismissed.
+ * Entries are keyed by `${orderId}-${lineItemId}` (or the order ID when the
+ * whole order failed), so an order rejected again by a later sync updates its
+ * entry instead of adding another. Dismissed entries stay dismissed; replayed
+ * entries that fail again are reopened.
+ *
+ * Students that fail to save are not dead-lettered: their orders are left out
+ * of the processed-order ledger and retried by the next sync.
+ */
+
+export const DEAD_LETTER_COLLECTION = "deadLetters";
+
+export const DEAD_LETTER_STATUSES = ["open", "replayed", "dismissed"];
+
+// Form answers that must never be stored; students replayed without one get a password reset link
+const SENSITIVE_LABEL = /password/i;
+
+/**
+ * Copy of a line item without sensitive form answers
+ * @param {Object} lineItem - Squarespace line item
+ * @returns {Object} - Line item with sensitive customizations removed
+ */
+function redactLineItem(lineItem) {
+  if (!Array.isArray(lineItem?.customizations)) return lineItem;
+  return {
+    ...lineItem,
+    customizations: lineItem.customizations.filter(
+      (customization) => !SENSITIVE_LABEL.test(customization?.label || "")
+    ),
+  };
+}
+
+/**
+ * Copy of an order without sensitive form answers
+ * @param {Object} order - Squarespace order
+ * @returns {Object} - Order with every line item redacted
+ */
+function redactOrder(order) {
+  if (!Array.isArray(order?.lineItems)) return order;
+  return { ...order, lineItems: order.lineItems.map(redactLineItem) };
+}
+
+/**
+ * ID of the dead letter for a rejected order or line item
+ * @param {Object} rejection - { order, lineItem }
+ * @returns {string}
+ */
+export function getDeadLetterId({ order, lineItem }) {
+  // An order that failed validation may not even have an ID
+  const orderId = order?.id ?? `order-${order?.orderNumber ?? "unknown"}`;
+  return lineItem ? `${orderId}-${lineItem.id}` : String(orderId);
+}
+
+/**
+ * Store rejected orders and line items
+ * @param {Object} db - Firestore instance
+ * @param {Array} rejections - [{ order, lineItem, stage, reason, violations }] from processOrderData
+ * @param {Object} options
+ * @param {string} options.source - What was processing the order ("poll", "webhook", "admin" or "replay")
+ * @returns {Promise<Object>} - { ids, unrecorded }: IDs of the dead letters written, and the
+ *   rejections that could not be stored, whose orders must not be marked processed
+ */
+export async function recordDeadLetters(db, rejections, { source }) {
+  const ids = [];
+  const unrecorded = [];
+
+  for (const rejection of rejections) {
+    const id = getDeadLetterId(rejection);
+    const { order, lineItem = null, stage, reason, violations = [] } = rejection;
+    const ref = db.collection(DEAD_LETTER_COLLECTION).doc(id);
+    const now = new Date().toISOString();
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        const existing = (await transaction.get(ref)).data();
+        transaction.set(ref, {
+          orderId: order?.id ?? null,
+          orderNumber: order?.orderNumber ?? null,
+          lineItemId: lineItem?.id || null,
+          productName: lineItem?.productName || null,
+          stage,
+          reason,
+          violations,
+          source,
+          payload: { order: redactOrder(order), lineItem: lineItem && redactLineItem(lineItem) },
+          status: existing?.status === "dismissed" ? "dismissed" : "open",
+          occurrences: (existing?.occurrences || 0) + 1,
+          firstSeenAt: existing?.firstSeenAt || now,
+          lastSeenAt: now,
+          ...(existing ? {} : { fix: null, replayedAt: null, dismissedAt: null, dismissedBy: null, note: null }),
+        }, { merge: true });
+      });
+      ids.push(id);
+      logger.warn(`Dead-lettered ${id} (order ${order?.orderNumber}, ${stage}): ${reason}`);
+    } catch (error) {
+      // The caller leaves the order unprocessed so the next sync rejects it again
+      logger.error(`Failed to dead-letter ${id}: ${stage} ${reason}:`, error.message);
+      unrecorded.push(rejection);
+    }
+  }
+
+  return { ids, unrecorded };
+}
+
+/**
+ * List dead letters
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options]
+ * @param {string} [options.status] - "open" (default), "replayed", "dismissed" or "all"
+ * @param {number} [options.limit] - Maximum number of entries
+ * @returns {Promise<Array>} - Entries without their payload, most recently seen first
+ */
+export async function listDeadLetters(db, { status = "open", limit = 50 } = {}) {
+  let query = db.collection(DEAD_LETTER_COLLECTION);
+  // Filtering by status needs the deadLetters status + lastSeenAt index in firestore.indexes.json
+  if (status !== "all") query = query.where("status", "==", status);
+
+  const snapshot = await query.orderBy("lastSeenAt", "desc").limit(limit).get();
+  return snapshot.docs.map((doc) => {
+    const { payload: _, ...entry } = doc.data();
+    return { id: doc.id, ...entry };
+  });
+}
+
+/**
+ * Get a dead letter with its payload
+ * @param {Object} db - Firestore instance
+ * @param {string} id - Dead letter ID
+ * @returns {Promise<Object|null>} - { id, ...entry }, or null if not found
+ */
+export async function getDeadLetter(db, id) {
+  const snapshot = await db.collection(DEAD_LETTER_COLLECTION).doc(id).get();
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+/**
+ * Build the order to replay from a dead letter, with fixes applied. Fixes are
+ * shallow-merged into the stored order and line item, e.g.
+ * { lineItem: { customizations: [...] } } to correct a form answer.
+ * A line item is replayed on its own, not with the rest of its order.
+ * @param {Object} deadLetter - Dead letter entry
+ * @param {Object} [fix] - { order, lineItem } fields to override
+ * @returns {Object} - Squarespace order
+ */
+export function buildReplayOrder(deadLetter, fix = {}) {
+  const { order, lineItem } = deadLetter.payload;
+  const fixedOrder = { ...order, ...(fix.order || {}) };
+
+  if (!lineItem) return fixedOrder;
+  return { ...fixedOrder, lineItems: [{ ...lineItem, ...(fix.lineItem || {}) }] };
+}
+
+/**
+ * Record that a dead letter was replayed successfully
+ * @param {Object} db - Firestore instance
+ * @param {string} id - Dead letter ID
+ * @param {Object} options
+ * @param {Object} [options.fix] - Fixes the replay used
+ * @param {string} [options.by] - Who replayed it
+ */
+export async function markDeadLetterReplayed(db, id, { fix = null, by = null } = {}) {
+  await db.collection(DEAD_LETTER_COLLECTION).doc(id).update({
+    status: "replayed",
+    fix,
+    replayedAt: new Date().toISOString(),
+    replayedBy: by,
+  });
+  logger.info(`Replayed dead letter ${id}`);
+}
+
+/**
+ * Dismiss a dead letter that should not be replayed, e.g. a test order
+ * @param {Object} db - Firestore instance
+ * @param {string} id - Dead letter ID
+ * @param {Object} [options]
+ * @param {string} [options.note] - Why it was dismissed
+ * @param {string} [options.by] - Who dismissed it
+ * @returns {Promise<Object|null>} - Updated entry, or null if not found
+ */
+export async function dismissDeadLetter(db, id, { note = null, by = null } = {}) {
+  const deadLetter = await getDeadLetter(db, id);
+  if (!deadLetter) return null;
+
+  const update = {
+    status: "dismissed",
+    note,
+    dismissedAt: new Date().toISOString(),
+    dismissedBy: by,
+  };
+  await db.collection(DEAD_LETTER_COLLECTION).doc(id).update(update);
+  logger.info(`Dismissed dead letter ${id}${note ? `: ${note}` : ""}`);
+  return { ...deadLetter, ...update };
+}
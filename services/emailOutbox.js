@@ -0,0 +1,291 @@
+import admin from "firebase-admin";
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+import { sendWelcomeEmail } from "./emailService.js";
+import { findStudentDoc } from "./students.js";
+
+dotenv.config();
+
+export const OUTBOX_COLLECTION = "emailOutbox";
+
+// Retry configuration
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_SECONDS = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS) || 60;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// An entry left in "sending" this long is assumed abandoned by a crashed worker
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * How the welcome email lets the student into their account. Passwords are
+ * never included; links are generated at send time and never stored.
+ * - chosen: the student picked a password on the enrollment form
+ * - existing: the student already had an account and keeps their password
+ * - reset-link: a Firebase password reset link to set their password
+ * - sign-in-link: a Firebase passwordless sign-in link
+ * Entries queued by older versions with "generated" are sent a reset link.
+ */
+export const PASSWORD_MODES = ["chosen", "existing", "reset-link", "sign-in-link"];
+
+// Where Firebase sends the student after they use a reset or sign-in link
+const AUTH_CONTINUE_URL =
+  process.env.AUTH_CONTINUE_URL || process.env.STUDENT_PORTAL_URL || "https://portal.tanwir.org";
+
+/**
+ * Build a new outbox entry for a student's welcome email
+ * @param {Object} options
+ * @param {string} options.email - Student email
+ * @param {string} options.studentDocPath - Path of the student's authorizedUsers document
+ * @param {string} [options.status] - "pending", or "awaiting-auth" while a legacy onboarding retry creates the Auth user
+ * @param {string} [options.passwordMode] - One of PASSWORD_MODES
+ * @returns {Object} - Outbox document data
+ */
+export function createWelcomeEntry({
+  email,
+  studentDocPath,
+  status = "pending",
+  passwordMode = "existing",
+}) {
+  return {
+    type: "welcome",
+    email,
+    studentDocPath,
+    status,
+    passwordMode,
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    lastError: null,
+    messageId: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/**
+ * Compute when a failed email should be retried (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {string} - ISO timestamp of the next attempt
+ */
+function getNextAttemptAt(attempts) {
+  const delaySeconds = Math.min(
+    RETRY_BASE_SECONDS * 2 ** (attempts - 1),
+    RETRY_MAX_SECONDS
+  );
+  return new Date(Date.now() + delaySeconds * 1000).toISOString();
+}
+
+/**
+ * Claim an outbox entry so concurrent workers do not send it twice
+ * @param {Object} db - Firestore instance
+ * @param {Object} entryRef - Outbox document reference
+ * @returns {Promise<Object|null>} - Entry data, or null if another worker owns it
+ */
+async function claimEntry(db, entryRef) {
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(entryRef);
+    const entry = snapshot.data();
+    if (!entry) return null;
+
+    const now = Date.now();
+    const claimable =
+      (entry.status === "pending" && new Date(entry.nextAttemptAt).getTime() <= now) ||
+      (entry.status === "sending" &&
+        now - new Date(entry.claimedAt).getTime() > CLAIM_TIMEOUT_MS);
+
+    if (!claimable) return null;
+
+    transaction.update(entryRef, {
+      status: "sending",
+      claimedAt: new Date(now).toISOString(),
+      // If this worker dies, the entry becomes due again once the claim expires
+      nextAttemptAt: new Date(now + CLAIM_TIMEOUT_MS).toISOString(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return entry;
+  });
+}
+
+/**
+ * Generate the password reset or sign-in link for a welcome email
+ * @param {string} email - Student email
+ * @param {string} passwordMode - One of PASSWORD_MODES
+ * @returns {Promise<string|null>} - Link, or null if the email needs none
+ */
+async function generateAccountLink(email, passwordMode) {
+  if (passwordMode === "reset-link") {
+    return admin.auth().generatePasswordResetLink(email, { url: AUTH_CONTINUE_URL });
+  }
+  if (passwordMode === "sign-in-link") {
+    return admin.auth().generateSignInWithEmailLink(email, {
+      url: AUTH_CONTINUE_URL,
+      handleCodeInApp: true,
+    });
+  }
+  return null;
+}
+
+/**
+ * Send the email for a claimed outbox entry
+ * @param {Object} db - Firestore instance
+ * @param {Object} entry - Outbox entry data
+ * @returns {Promise<Object>} - Result of sendWelcomeEmail
+ */
+async function deliver(db, entry) {
+  const studentDoc = await db.doc(entry.studentDocPath).get();
+  if (!studentDoc.exists) {
+    return { success: false, error: `Student document ${entry.studentDocPath} not found` };
+  }
+
+  const { studentInfo, courses = [] } = studentDoc.data();
+  const passwordMode = entry.passwordMode === "generated" ? "reset-link" : entry.passwordMode;
+
+  return sendWelcomeEmail({
+    studentInfo,
+    courses,
+    passwordMode,
+    accountLink: await generateAccountLink(entry.email, passwordMode),
+  });
+}
+
+/**
+ * Send due emails from the outbox, retrying failures with exponential backoff
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of entries to process
+ * @returns {Promise<Object>} - { processed, sent, failed, retrying }
+ */
+export async function processEmailOutbox(db, { limit = 100 } = {}) {
+  const summary = { processed: 0, sent: 0, failed: 0, retrying: 0 };
+
+  // Only entries that are due, oldest first, so entries in backoff cannot crowd them out
+  // (needs the emailOutbox status + nextAttemptAt index in firestore.indexes.json)
+  const snapshot = await db
+    .collection(OUTBOX_COLLECTION)
+    .where("status", "in", ["pending", "sending"])
+    .where("nextAttemptAt", "<=", new Date().toISOString())
+    .orderBy("nextAttemptAt")
+    .limit(limit)
+    .get();
+
+  for (const entryDoc of snapshot.docs) {
+    const entry = await claimEntry(db, entryDoc.ref);
+    if (!entry) continue;
+
+    summary.processed++;
+    let result;
+    try {
+      result = await deliver(db, entry);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      await entryDoc.ref.update({
+        status: "sent",
+        messageId: result.messageId,
+        transport: result.transport || null,
+        lastError: null,
+        attempts: (entry.attempts || 0) + 1,
+        sentAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      summary.sent++;
+      logger.info(`Welcome email sent to ${entry.email} (message ${result.messageId})`);
+      continue;
+    }
+
+    const attempts = (entry.attempts || 0) + 1;
+    const failed = attempts >= MAX_ATTEMPTS;
+    await entryDoc.ref.update({
+      status: failed ? "failed" : "pending",
+      attempts,
+      lastError: result.error,
+      nextAttemptAt: failed ? null : getNextAttemptAt(attempts),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    if (failed) {
+      summary.failed++;
+      logger.error(`Welcome email to ${entry.email} failed after ${attempts} attempts: ${result.error}`);
+    } else {
+      summary.retrying++;
+      logger.warn(`Welcome email to ${entry.email} failed (attempt ${attempts}), will retry: ${result.error}`);
+    }
+  }
+
+  if (summary.processed > 0) {
+    logger.info(`Email outbox: ${JSON.stringify(summary)}`);
+  }
+  return summary;
+}
+
+/**
+ * List outbox entries, newest first
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options]
+ * @param {string} [options.status] - Only return entries with this status
+ * @param {string} [options.email] - Only return entries for this student
+ * @param {number} [options.limit] - Maximum number of entries
+ * @returns {Promise<Array>} - Entries with their IDs
+ */
+export async function listOutboxEntries(db, { status, email, limit = 50 } = {}) {
+  let query = db.collection(OUTBOX_COLLECTION);
+  if (status) query = query.where("status", "==", status);
+  if (email) query = query.where("email", "==", email.toLowerCase().trim());
+
+  const snapshot = await query.limit(limit).get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Queue welcome emails to be sent again
+ * @param {Object} db - Firestore instance
+ * @param {Object} options
+ * @param {Array<string>} [options.emails] - Students to resend to
+ * @param {boolean} [options.failed] - Requeue every entry that has permanently failed
+ * @param {boolean} [options.resetPassword] - Email the listed students a password reset link
+ * @returns {Promise<Object>} - { queued, notFound }
+ */
+export async function resendWelcomeEmails(db, { emails = [], failed = false, resetPassword = false } = {}) {
+  const summary = { queued: 0, notFound: [] };
+
+  if (failed) {
+    const failedEntries = await db
+      .collection(OUTBOX_COLLECTION)
+      .where("status", "==", "failed")
+      .get();
+
+    for (const entryDoc of failedEntries.docs) {
+      await entryDoc.ref.update({
+        status: "pending",
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      summary.queued++;
+    }
+  }
+
+  for (const rawEmail of emails) {
+    const email = rawEmail.toLowerCase().trim();
+    const studentDoc = await findStudentDoc(db, email);
+
+    if (!studentDoc) {
+      logger.warn(`Cannot resend welcome email: no student found for ${email}`);
+      summary.notFound.push(email);
+      continue;
+    }
+
+    await db.collection(OUTBOX_COLLECTION).add(
+      createWelcomeEntry({
+        email,
+        studentDocPath: studentDoc.ref.path,
+        passwordMode: resetPassword ? "reset-link" : "existing",
+      })
+    );
+    summary.queued++;
+  }
+
+  logger.info(`Queued ${summary.queued} welcome emails for resend`);
+  return summary;
+}
@@ -0,0 +1,113 @@
+import fs from "fs";
+import dotenv from "dotenv";
+import { compileTemplate, decodeEntities, htmlToText } from "../utils/template.js";
+
+dotenv.config();
+
+const TEMPLATE_DIR = new URL("../templates/email/", import.meta.url);
+const DEFAULT_LANGUAGE = process.env.DEFAULT_EMAIL_LANGUAGE || "en";
+
+const LOGO_URL =
+  "https://images.squarespace-cdn.com/content/66a00d45db79b1271d17284d/f596f1b5-33ae-4fde-b6e1-3a6c9beb0deb/tanwir-horizontal.png";
+
+// Compiled templates keyed by "<name>.<language>"
+const templateCache = new Map();
+
+/**
+ * Load and compile an email template, falling back to the default language
+ * @param {string} name - Template name (e.g., "welcome")
+ * @param {string} language - Language code (e.g., "en", "ar")
+ * @returns {Function} - Compiled template
+ */
+function getTemplate(name, language) {
+  const key = `${name}.${language}`;
+  if (templateCache.has(key)) return templateCache.get(key);
+
+  const file = new URL(`${key}.html`, TEMPLATE_DIR);
+  if (!fs.existsSync(file)) {
+    if (language === DEFAULT_LANGUAGE) {
+      throw new Error(`Email template ${key}.html not found`);
+    }
+    return getTemplate(name, DEFAULT_LANGUAGE);
+  }
+
+  const template = compileTemplate(fs.readFileSync(file, "utf8"));
+  templateCache.set(key, template);
+  return template;
+}
+
+/**
+ * Pick the email language from student data
+ * @param {Object} studentInfo - Student info from the course record
+ * @returns {string} - Language code
+ */
+export function selectLanguage(studentInfo) {
+  const preference = (studentInfo?.preferredLanguage || "").trim().toLowerCase();
+  if (/^ar\b|arab|عرب/.test(preference)) return "ar";
+  if (/^en\b|english/.test(preference)) return "en";
+  return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Build the template view of a course record. Type-specific details are
+ * flattened and an `is<CourseType>` flag is set for per-course variations.
+ * @param {Object} course - Course record
+ * @returns {Object} - Template data for the course
+ */
+function toCourseView(course) {
+  const details =
+    course.placementInfo || course.guidanceDetails || course.courseDetails || {};
+
+  return {
+    courseName: course.courseName || course.courseType,
+    courseType: course.courseType,
+    [`is${course.courseType}`]: true,
+    level: details.level,
+    module: details.module,
+    section: details.section,
+    plan: details.plan,
+  };
+}
+
+/**
+ * Extract the email subject from the rendered <title>
+ * @param {string} html - Rendered HTML
+ * @returns {string} - Subject line
+ */
+function extractSubject(html) {
+  const match = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  return match ? decodeEntities(match[1]).replace(/\s+/g, " ").trim() : "";
+}
+
+/**
+ * Render the welcome email for a student
+ * @param {Object} student - { studentInfo, courses, passwordMode, accountLink }
+ *   where accountLink is the reset or sign-in link for those password modes
+ * @returns {Object} - { subject, html, text, language }
+ */
+export function renderWelcomeEmail({ studentInfo, courses = [], passwordMode, accountLink }) {
+  const language = selectLanguage(studentInfo);
+  const courseViews = courses.map(toCourseView);
+
+  const html = getTemplate("welcome", language)({
+    firstName: studentInfo.firstName || "",
+    lastName: studentInfo.lastName || "",
+    email: studentInfo.email,
+    existingAccount: passwordMode === "existing",
+    resetLink: passwordMode === "reset-link" ? accountLink : null,
+    signInLink: passwordMode === "sign-in-link" ? accountLink : null,
+    courses: courseViews,
+    courseNames: courseViews.map((course) => course.courseName).join(", "),
+    portalUrl: process.env.STUDENT_PORTAL_URL || "https://portal.tanwir.org",
+    supportEmail: process.env.SUPPORT_EMAIL || "programs@tanwirinstitute.org",
+    logoUrl: LOGO_URL,
+    year: new Date().getFullYear(),
+  });
+
+  return {
+    subject: extractSubject(html),
+    html,
+    text: htmlToText(html),
+    language,
+  };
+}
@@ -0,0 +1,227 @@
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import nodemailer from "nodemailer";
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+const BREVO_API_URL = "https://api.brevo.com/v3/smtp/email";
+const BREVO_TIMEOUT_MS = 15000;
+
+/**
+ * Whether a Brevo failure is on the provider side (outage, throttling, account
+ * or key problems) rather than a problem with the message itself
+ * @param {Error} error - Error thrown by the Brevo request
+ * @returns {boolean}
+ */
+function isProviderError(error) {
+  const status = error.response?.status;
+  if (!status) return true; // network error or timeout
+  return status >= 500 || [401, 402, 403, 429].includes(status);
+}
+
+/**
+ * Transport sending through the Brevo transactional email API
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Brevo API key (default: BREVO_API_KEY)
+ * @returns {Object} - Transport { name, send }
+ */
+export function createBrevoTransport({ apiKey = process.env.BREVO_API_KEY } = {}) {
+  return {
+    name: "brevo",
+    async send(message) {
+      if (!apiKey) {
+        const error = new Error("Missing BREVO_API_KEY environment variable");
+        error.providerError = true;
+        throw error;
+      }
+
+      try {
+        const response = await axios({
+          method: "post",
+          url: BREVO_API_URL,
+          timeout: BREVO_TIMEOUT_MS,
+          headers: {
+            accept: "application/json",
+            "api-key": apiKey,
+            "content-type": "application/json",
+          },
+          data: {
+            sender: message.from,
+            to: [message.to],
+            subject: message.subject,
+            htmlContent: message.html,
+            textContent: message.text,
+          },
+        });
+        return { messageId: response.data?.messageId || null };
+      } catch (error) {
+        const status = error.response?.status;
+        const detail = error.response?.data?.message;
+        const wrapped = new Error(
+          `Brevo request failed${status ? ` with status ${status}` : ""}: ${detail || error.message}`
+        );
+        wrapped.providerError = isProviderError(error);
+        throw wrapped;
+      }
+    },
+  };
+}
+
+/**
+ * Convert a transport message to nodemailer's format
+ * @param {Object} message - { from, to, subject, html, text }
+ * @returns {Object} - nodemailer message
+ */
+function toNodemailerMessage(message) {
+  return {
+    from: { name: message.from.name, address: message.from.email },
+    to: { name: message.to.name, address: message.to.email },
+    subject: message.subject,
+    html: message.html,
+    text: message.text,
+  };
+}
+
+/**
+ * Transport sending over SMTP with nodemailer
+ * @param {Object} [options] - nodemailer SMTP options (default: SMTP_* environment variables)
+ * @returns {Object} - Transport { name, send }
+ */
+export function createSmtpTransport(options = {}) {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+    ...options,
+  });
+
+  return {
+    name: "smtp",
+    async send(message) {
+      const info = await transporter.sendMail(toNodemailerMessage(message));
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+/**
+ * Transport writing each email to a .eml file instead of sending it
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Output directory (default: EMAIL_OUTPUT_DIR or .emails)
+ * @returns {Object} - Transport { name, send }
+ */
+export function createFileTransport({
+  directory = process.env.EMAIL_OUTPUT_DIR || ".emails",
+} = {}) {
+  const transporter = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: "file",
+    async send(message) {
+      const info = await transporter.sendMail(toNodemailerMessage(message));
+      fs.mkdirSync(directory, { recursive: true });
+
+      const safeRecipient = message.to.email.replace(/[^a-z0-9@._-]/gi, "_");
+      const file = path.join(directory, `${Date.now()}-${safeRecipient}.eml`);
+      fs.writeFileSync(file, info.message);
+
+      logger.info(`Email to ${message.to.email} written to ${file}`);
+      return { messageId: info.messageId };
+    },
+  };
+}
+
+/**
+ * Transport logging each email instead of sending it. Links are redacted:
+ * password reset and sign-in links would give anyone reading the logs access
+ * to the account.
+ * @returns {Object} - Transport { name, send }
+ */
+export function createConsoleTransport() {
+  return {
+    name: "console",
+    async send(message) {
+      const text = (message.text || "").replace(/https?:\/\/\S+/g, "[link redacted]");
+      logger.info(`Email to ${message.to.email}: ${message.subject}\n${text}`);
+      return { messageId: `console-${Date.now()}` };
+    },
+  };
+}
+
+const TRANSPORT_FACTORIES = {
+  brevo: createBrevoTransport,
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+/**
+ * Create a transport by name
+ * @param {string} name - One of brevo, smtp, file, console
+ * @returns {Object} - Transport { name, send }
+ */
+export function createTransport(name) {
+  const factory = TRANSPORT_FACTORIES[name];
+  if (!factory) {
+    throw new Error(
+      `Unknown email transport "${name}". Expected one of: ${Object.keys(TRANSPORT_FACTORIES).join(", ")}`
+    );
+  }
+  return factory();
+}
+
+let configuredTransports = null;
+
+/**
+ * Transports in the order they are tried, from EMAIL_TRANSPORT and
+ * EMAIL_FAILOVER_TRANSPORT. Brevo fails over to SMTP by default when
+ * SMTP_HOST is set.
+ * @returns {Array<Object>} - Primary transport, then the failover transport if any
+ */
+export function getTransports() {
+  if (configuredTransports) return configuredTransports;
+
+  const primary = (process.env.EMAIL_TRANSPORT || "brevo").toLowerCase();
+  const defaultFailover = primary === "brevo" && process.env.SMTP_HOST ? "smtp" : "";
+  const failover = (process.env.EMAIL_FAILOVER_TRANSPORT ?? defaultFailover).toLowerCase();
+
+  configuredTransports = [createTransport(primary)];
+  if (failover && failover !== "none" && failover !== primary) {
+    configuredTransports.push(createTransport(failover));
+  }
+
+  logger.info(`Email transports: ${configuredTransports.map((t) => t.name).join(" -> ")}`);
+  return configuredTransports;
+}
+
+/**
+ * Send an email with the configured transport, failing over to the next one
+ * on provider errors
+ * @param {Object} message - { from: { name, email }, to: { name, email }, subject, html, text }
+ * @param {Array<Object>} [transports] - Transports to use (default: getTransports())
+ * @returns {Promise<Object>} - { messageId, transport }
+ */
+export async function sendEmail(message, transports = getTransports()) {
+  let lastError;
+
+  for (const [index, transport] of transports.entries()) {
+    try {
+      const { messageId } = await transport.send(message);
+      return { messageId, transport: transport.name };
+    } catch (error) {
+      lastError = error;
+      const next = transports[index + 1];
+      // A message the provider rejected would be rejected by the next transport too
+      if (!next || error.providerError === false) break;
+      logger.warn(`Email transport ${transport.name} failed (${error.message}), failing over to ${next.name}`);
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,142 @@
+import crypto from "crypto";
+import { logger } from "../utils/logger.js";
+import { mapCourseToModel } from "../models/courseMapper.js";
+import {
+  formatViolations,
+  validateCourseRecord,
+  validateLineItem,
+} from "../models/orderSchema.js";
+import { appendCoursesTransactionally } from "./firebase.js";
+import { restoreAuthAccess, revokeStudentCourses } from "./revocations.js";
+import { getStudentDoc } from "./students.js";
+
+/**
+ * Manual enrollment changes made through the admin API.
+ * Courses added by hand go through the same course models as Squarespace
+ * orders, so they get the same courseType, courseRef and duplicate checks.
+ * Removed courses are revoked like refunds, with revokedReason "removed".
+ */
+
+// Prefix of the order ID given to manual enrollments; courseIds are "manual-<uuid>"
+const MANUAL_ORDER_ID = "manual";
+
+/**
+ * Convert a { name: value } map to Squarespace's [{ <keyField>, value }] form
+ * @param {Object|Array} [entries] - Map of name to value, or an array already in Squarespace form
+ * @param {string} keyField - Field holding the entry name (e.g., "label", "optionName")
+ * @returns {Array}
+ */
+function toSquarespaceEntries(entries, keyField) {
+  if (Array.isArray(entries)) return entries;
+  return Object.entries(entries || {}).map(([name, value]) => ({ [keyField]: name, value }));
+}
+
+/**
+ * Create the error thrown when a manual enrollment fails validation
+ * @param {string} productName - Product the course was requested for
+ * @param {Array} violations - Violations from models/orderSchema.js
+ * @returns {Error} - Error with status 400 and the violations
+ */
+function invalidCourseError(productName, violations) {
+  const error = new Error(`Invalid course "${productName}": ${formatViolations(violations)}`);
+  error.status = 400;
+  error.violations = violations;
+  return error;
+}
+
+/**
+ * Build the course record for a manual enrollment, as if it came from an order
+ * @param {Object} studentInfo - studentInfo of the student document
+ * @param {Object} course
+ * @param {string} course.productName - Squarespace product name, used to pick the course model
+ * @param {Object} [course.variantOptions] - e.g. { Section: "Year 1", Plan: "Full" }
+ * @param {Object} [course.customizations] - Form answers by label, e.g. placement details
+ * @returns {Object} - Course + student record
+ */
+function buildManualCourse(studentInfo, { productName, variantOptions, customizations }) {
+  const order = {
+    id: MANUAL_ORDER_ID,
+    orderNumber: null,
+    createdOn: new Date().toISOString(),
+    lineItems: [
+      {
+        id: crypto.randomUUID(),
+        lineItemType: "SERVICE",
+        productName,
+        variantOptions: toSquarespaceEntries(variantOptions, "optionName"),
+        customizations: toSquarespaceEntries(customizations, "label"),
+      },
+    ],
+  };
+
+  // e.g. a section or plan the course does not have
+  const itemViolations = validateLineItem(order.lineItems[0]);
+  if (itemViolations.length > 0) throw invalidCourseError(productName, itemViolations);
+
+  let reason = "no course model";
+  const [record] = mapCourseToModel(order, { onReject: (rejection) => (reason = rejection.reason) }) || [];
+  if (!record) throw new Error(`Could not map "${productName}" to a course model: ${reason}`);
+
+  // Student details stay as they are; only the course is added
+  const course = { ...record, studentInfo, addedManually: true };
+  const recordViolations = validateCourseRecord(course);
+  if (recordViolations.length > 0) throw invalidCourseError(productName, recordViolations);
+  return course;
+}
+
+/**
+ * Add a course to a student by hand
+ * @param {Object} db - Firestore instance
+ * @param {string} idOrEmail - Student email or authorizedUsers document ID
+ * @param {Object} course - { productName, variantOptions, customizations }
+ * @returns {Promise<Object|null>} - { docId, added, course }, or null if the student is not found.
+ *   added is false when the student already has the enrollment, including one on a
+ *   payment plan: courses added by hand are never recorded as installments.
+ */
+export async function addStudentCourse(db, idOrEmail, course) {
+  if (!course?.productName) throw new Error("productName is required");
+
+  const studentDoc = await getStudentDoc(db, idOrEmail);
+  if (!studentDoc) return null;
+
+  const record = buildManualCourse(studentDoc.data().studentInfo || {}, course);
+  const { newCourses } = await appendCoursesTransactionally(db, studentDoc.ref, [record]);
+  if (newCourses.length === 0) {
+    return { docId: studentDoc.id, added: false, course: null };
+  }
+
+  await restoreAuthAccess(studentDoc.ref, studentDoc.data());
+
+  const { studentInfo: _, ...stored } = record;
+  logger.info(`Manually added ${stored.courseName} (${stored.courseId}) to student ${studentDoc.id}`);
+  return { docId: studentDoc.id, added: true, course: stored };
+}
+
+/**
+ * Remove a course from a student by hand. The course is kept on the document
+ * with status "revoked" so the enrollment history is not lost.
+ * @param {Object} db - Firestore instance
+ * @param {string} idOrEmail - Student email or authorizedUsers document ID
+ * @param {string} courseId - courseId of the stored course
+ * @returns {Promise<Object|null>} - { docId, courseId, removed, alreadyRemoved, found },
+ *   or null if the student is not found
+ */
+export async function removeStudentCourse(db, idOrEmail, courseId) {
+  const studentDoc = await getStudentDoc(db, idOrEmail);
+  if (!studentDoc) return null;
+
+  const result = await revokeStudentCourses(db, studentDoc.ref, [
+    { courseId, revokedReason: "removed" },
+  ]);
+
+  if (result.revoked.length > 0) {
+    logger.info(`Manually removed course ${courseId} from student ${studentDoc.id}`);
+  }
+  return {
+    docId: studentDoc.id,
+    courseId,
+    removed: result.revoked.length > 0,
+    alreadyRemoved: result.alreadyRevoked.length > 0,
+    found: result.notFound.length === 0,
+  };
+}
@@ -1,233 +1,459 @@
 import admin from "firebase-admin";
-import dotenv from "dotenv";
-import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger.js';
-import { sendWelcomeEmail } from './emailService.js';
+import { initializeFirebase } from './firebaseApp.js';
+import {
+  getAccountMode,
+  onboardNewStudents,
+  processOnboardingRetries,
+} from './onboarding.js';
+import { findStudentDoc } from './students.js';
+import { getCourseDedupeKey } from '../models/courseRegistry.js';
+import { isCourseActive, restoreAuthAccess } from './revocations.js';
+import {
+  getLatestRecord,
+  mergeStudentInfo,
+  recordStudentInfoChanges,
+} from './studentMerge.js';
+import {
+  addInstallment,
+  isInstallmentPlan,
+  summarizeInstallments,
+  withPaymentPlan,
+} from './installments.js';
 
-dotenv.config();
+/**
+ * Group student records by normalized email, skipping records without an email
+ * @param {Array} studentRecords - Course + student records from the mapper
+ * @returns {Object} - Map of email to the records for that student
+ */
+function groupRecordsByEmail(studentRecords) {
+  const studentsByEmail = {};
+  
+  studentRecords.forEach(record => {
+    // Skip records without student info or email
+    if (!record.studentInfo || !record.studentInfo.email) {
+      logger.warn(`Skipping record with missing student email: courseId ${record.courseId}`);
+      return;
+    }
+    
+    const email = record.studentInfo.email.toLowerCase().trim();
+    
+    if (!studentsByEmail[email]) {
+      studentsByEmail[email] = [];
+    }
+    
+    studentsByEmail[email].push(record);
+  });
+  
+  return studentsByEmail;
+}
 
-let firebaseInitialized = false;
+/**
+ * Take the enrollment form password out of a student's records, so it is only
+ * held until the Auth user is created and never reaches Firestore or the logs
+ * @param {Array} records - Course records for one student
+ * @returns {string|null} - Password from the newest record that has one
+ */
+function takePassword(records) {
+  const withPassword = records.filter((record) => record.studentInfo.password);
+  const password =
+    withPassword.length > 0 ? getLatestRecord(withPassword).studentInfo.password : null;
+  
+  records.forEach((record) => {
+    delete record.studentInfo.password;
+  });
+  return password;
+}
 
-function initializeFirebase() {
-  if (firebaseInitialized) return;
+/**
+ * Split incoming courses into new courses, payment plan installments of an
+ * enrollment the student already has, and duplicates
+ * @param {Array} existingCourses - Courses already stored on the student document
+ * @param {Array} incomingCourses - Course records from the current sync
+ * @returns {Object} - { newCourses, installmentCourses, duplicateCourses }
+ */
+function splitNewCourses(existingCourses, incomingCourses) {
+  // Create a map of existing courses by courseId for quick lookup
+  const existingCourseMap = {};
+  const existingByDedupeKey = new Map();
+  const track = (course) => {
+    existingCourseMap[course.courseId || course.orderNumber] = true;
+    course.payment?.installments.forEach((entry) => {
+      existingCourseMap[entry.courseId] = true;
+    });
+    
+    // A revoked enrollment does not block re-enrolling in the same course
+    const dedupeKey = isCourseActive(course) && getCourseDedupeKey(course);
+    if (dedupeKey && !existingByDedupeKey.has(dedupeKey)) {
+      existingByDedupeKey.set(dedupeKey, course);
+    }
+  };
+  existingCourses.forEach(track);
+  
+  const newCourses = [];
+  const installmentCourses = [];
+  const duplicateCourses = [];
+  
+  incomingCourses.forEach(course => {
+    const courseKey = course.courseId || course.orderNumber;
+    
+    if (existingCourseMap[courseKey]) {
+      duplicateCourses.push(course);
+      return;
+    }
+    
+    // Same enrollment under another order (what each course type considers
+    // the same enrollment): a payment plan installment, or a duplicate
+    const enrollment = existingByDedupeKey.get(getCourseDedupeKey(course));
+    if (enrollment) {
+      // A course added by hand has no payment to record as an installment
+      if (isInstallmentPlan(enrollment) && !course.addedManually) {
+        existingCourseMap[courseKey] = true;
+        installmentCourses.push(course);
+      } else {
+        duplicateCourses.push(course);
+      }
+      return;
+    }
+    
+    newCourses.push(course);
+    track(course);
+  });
+  
+  return { newCourses, installmentCourses, duplicateCourses };
+}
 
-  try {
-    const serviceAccountJson = process.env.FIREBASE_SERVICE_ACCOUNT_BASE64
-      ? Buffer.from(
-          process.env.FIREBASE_SERVICE_ACCOUNT_BASE64,
-          "base64"
-        ).toString()
-      : process.env.FIREBASE_SERVICE_ACCOUNT_JSON;
+/**
+ * Apply new courses and installments to a student's stored courses
+ * @param {Array} existingCourses - Courses already stored on the student document
+ * @param {Object} split - Result of splitNewCourses
+ * @returns {Array} - Updated course entries
+ */
+function applyCourseChanges(existingCourses, { newCourses, installmentCourses }) {
+  const courses = [...existingCourses, ...newCourses.map(toCourseOnly)];
+  
+  installmentCourses.forEach((installment) => {
+    const dedupeKey = getCourseDedupeKey(installment);
+    const index = courses.findIndex(
+      (course) => isCourseActive(course) && getCourseDedupeKey(course) === dedupeKey
+    );
+    courses[index] = addInstallment(courses[index], installment);
+  });
+  
+  return courses;
+}
 
-    if (!serviceAccountJson) throw new Error("Missing Firebase credentials");
+/**
+ * Summarize a course record for reports
+ * @param {Object} course - Course record
+ * @returns {Object} - { courseId, orderNumber, courseName, courseRef }
+ */
+function summarizeCourse(course) {
+  return {
+    courseId: course.courseId,
+    orderNumber: course.orderNumber,
+    courseName: course.courseName,
+    courseRef: course.courseRef,
+    amountPaid: course.amountPaid,
+  };
+}
 
-    const serviceAccount = JSON.parse(serviceAccountJson);
+/**
+ * Compute what saveToFirestore would do without writing anything.
+ * Reads authorizedUsers and Firebase Auth, but never writes to Firestore or
+ * Auth and never sends email.
+ * @param {Array} studentRecords - Already formatted and grouped student records
+ * @returns {Promise<Object>} - Dry-run report with per-student changes and totals
+ */
+export async function previewFirestoreChanges(studentRecords) {
+  const report = {
+    dryRun: true,
+    students: [],
+    summary: {
+      studentsCreated: 0,
+      studentsUpdated: 0,
+      studentsUnchanged: 0,
+      authUsersCreated: 0,
+      coursesAdded: 0,
+      installmentsRecorded: 0,
+      duplicatesSkipped: 0,
+      emailsSent: 0,
+      recordsSkipped: 0,
+    },
+  };
+  
+  if (!studentRecords || studentRecords.length === 0) {
+    logger.info("No student records to preview");
+    return report;
+  }
+  
+  initializeFirebase();
+  const db = admin.firestore();
+  
+  const studentsByEmail = groupRecordsByEmail(studentRecords);
+  report.summary.recordsSkipped =
+    studentRecords.length - Object.values(studentsByEmail).flat().length;
+  
+  for (const [email, coursesForUser] of Object.entries(studentsByEmail)) {
+    const existingUserDoc = await findStudentDoc(db, email);
+    
+    if (existingUserDoc) {
+      const existingCourses = existingUserDoc.data().courses || [];
+      const { newCourses, installmentCourses, duplicateCourses } =
+        splitNewCourses(existingCourses, coursesForUser);
+      const { changes } = mergeStudentInfo(existingUserDoc.data(), getLatestRecord(coursesForUser));
+      const changed = newCourses.length + installmentCourses.length + changes.length > 0;
+      
+      report.students.push({
+        email,
+        docId: existingUserDoc.id,
+        action: changed ? "update" : "unchanged",
+        createAuthUser: false,
+        coursesToAdd: newCourses.map(summarizeCourse),
+        installmentsToRecord: installmentCourses.map(summarizeCourse),
+        duplicateCourses: duplicateCourses.map(summarizeCourse),
+        studentInfoChanges: changes,
+        welcomeEmail: false,
+      });
+      
+      if (changed) {
+        report.summary.studentsUpdated++;
+      } else {
+        report.summary.studentsUnchanged++;
+      }
+      report.summary.coursesAdded += newCourses.length;
+      report.summary.installmentsRecorded += installmentCourses.length;
+      report.summary.duplicatesSkipped += duplicateCourses.length;
+    } else {
+      // The document will be keyed by the Auth UID, which only exists for linked users
+      let authUserExists = false;
+      let docId = null;
+      try {
+        ({ uid: docId } = await admin.auth().getUserByEmail(email));
+        authUserExists = true;
+      } catch (authError) {
+        if (authError.code !== "auth/user-not-found") throw authError;
+      }
+      
+      const { newCourses, installmentCourses, duplicateCourses } =
+        splitNewCourses([], coursesForUser);
+      
+      report.students.push({
+        email,
+        docId: docId || "(new Auth UID)",
+        action: "create",
+        createAuthUser: !authUserExists,
+        accountMode: authUserExists ? "existing" : getAccountMode(coursesForUser),
+        coursesToAdd: newCourses.map(summarizeCourse),
+        installmentsToRecord: installmentCourses.map(summarizeCourse),
+        duplicateCourses: duplicateCourses.map(summarizeCourse),
+        welcomeEmail: true,
+      });
+      
+      report.summary.studentsCreated++;
+      report.summary.coursesAdded += newCourses.length;
+      report.summary.installmentsRecorded += installmentCourses.length;
+      report.summary.duplicatesSkipped += duplicateCourses.length;
+      report.summary.emailsSent++;
+      if (!authUserExists) report.summary.authUsersCreated++;
+    }
+  }
+  
+  logger.info(`Dry run summary: ${JSON.stringify(report.summary)}`);
+  return report;
+}
 
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-    });
+/**
+ * Strip studentInfo from a course record to avoid duplicating it per course,
+ * and start installment tracking for multi-installment payment plans
+ * @param {Object} course - Course + student record
+ * @returns {Object} - Course data only
+ */
+function toCourseOnly(course) {
+  const { studentInfo: _, ...courseOnly } = course;
+  return withPaymentPlan(courseOnly);
+}
 
-    firebaseInitialized = true;
-    logger.info("Firebase initialized");
-  } catch (error) {
-    logger.error("Failed to initialize Firebase:", error);
-    throw error;
-  }
+/**
+ * Append new courses to an existing student and merge updated student details
+ * inside a transaction so that concurrent syncs cannot overwrite each other
+ * @param {Object} db - Firestore instance
+ * @param {Object} docRef - Reference to the student's authorizedUsers document
+ * @param {Array} coursesForUser - Course records from the current sync
+ * @returns {Promise<Object>} - { newCourses, installmentCourses, duplicateCourses, studentInfoChanges }
+ */
+export async function appendCoursesTransactionally(db, docRef, coursesForUser) {
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    const existingData = snapshot.data() || {};
+    const existingCourses = existingData.courses || [];
+    
+    const split = splitNewCourses(existingCourses, coursesForUser);
+    const merge = mergeStudentInfo(existingData, getLatestRecord(coursesForUser));
+    const coursesChanged = split.newCourses.length > 0 || split.installmentCourses.length > 0;
+    
+    if (coursesChanged || merge.changes.length > 0) {
+      const courses = applyCourseChanges(existingCourses, split);
+      transaction.update(docRef, {
+        ...(coursesChanged ? { courses, ...summarizeInstallments(courses) } : {}),
+        ...recordStudentInfoChanges(transaction, docRef, merge),
+        lastSynced: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    
+    return { ...split, studentInfoChanges: merge.changes };
+  });
 }
 
 /**
- * Save processed Squarespace orders to Firestore
+ * Save processed Squarespace orders to Firestore.
+ * Existing students are updated in per-student transactions; new student
+ * documents are created in one batch per student (see onboardNewStudents).
  * @param {Array} studentRecords - Already formatted and grouped student records
+ * @returns {Promise<Object>} - { succeeded, failed, coursesAdded, installmentsRecorded, recordsSkipped }
  */
 export async function saveToFirestore(studentRecords) {
+  const result = {
+    succeeded: [],
+    failed: [],
+    coursesAdded: 0,
+    installmentsRecorded: 0,
+    recordsSkipped: 0,
+  };
+  
   try {
     if (!studentRecords || studentRecords.length === 0) {
       logger.info("No student records to save");
-      return;
+      return result;
     }
 
     initializeFirebase();
     const db = admin.firestore();
-    const batch = db.batch();
     
     // Group records by email to handle multiple courses for the same student
-    const studentsByEmail = {};
-    
-    // First, group all records by email
-    studentRecords.forEach(record => {
-      // Skip records without student info or email
-      if (!record.studentInfo || !record.studentInfo.email) {
-        logger.warn(`Skipping record with missing student email: ${JSON.stringify(record)}`);
-        return;
-      }
-      
-      const email = record.studentInfo.email.toLowerCase().trim();
-      
-      if (!studentsByEmail[email]) {
-        studentsByEmail[email] = [];
-      }
-      
-      studentsByEmail[email].push(record);
-    });
+    const studentsByEmail = groupRecordsByEmail(studentRecords);
+    result.recordsSkipped =
+      studentRecords.length - Object.values(studentsByEmail).flat().length;
     
     logger.info(`Processing ${Object.keys(studentsByEmail).length} unique students`);
     
-    let successCount = 0;
+    const newStudents = [];
     
-    // Process each unique student
-    for (const email of Object.keys(studentsByEmail)) {
+    // Update existing students, collecting new ones for batched creation
+    for (const [email, coursesForUser] of Object.entries(studentsByEmail)) {
+      // Only new students need the password, to create their Auth user
+      const password = takePassword(coursesForUser);
+      
       try {
-        const coursesForUser = studentsByEmail[email];
-        const docRef = db.collection("authorizedUsers").doc(email);
+        // Look for an existing user with this email in studentInfo.email
+        const existingUserDoc = await findStudentDoc(db, email);
+        
+        if (!existingUserDoc) {
+          newStudents.push({ email, coursesForUser, password });
+          continue;
+        }
         
-                // Query for existing user with this email in studentInfo.email
-                const userQuery = await db
-                .collection("authorizedUsers")
-                .where("studentInfo.email", "==", email)
-                .limit(1)
-                .get();
-              
+        const { newCourses, installmentCourses, studentInfoChanges } =
+          await appendCoursesTransactionally(db, existingUserDoc.ref, coursesForUser);
         
-        if (!userQuery.empty) {
-          // User exists, check for new courses to add
-          const existingUserDoc = userQuery.docs[0];
-          const existingUserData = existingUserDoc.data();
-          const existingCourses = existingUserData.courses || [];
-          
-          // Create a map of existing courses by courseId for quick lookup
-          const existingCourseMap = {};
-          existingCourses.forEach(course => {
-            const key = course.courseId || course.orderNumber;
-            existingCourseMap[key] = true;
-          });
-          
-          // Filter out courses that already exist
-          const newCourses = coursesForUser.filter(course => {
-            const courseKey = course.courseId || course.orderNumber;
-            
-            // First check by courseId/orderNumber (existing logic)
-            if (existingCourseMap[courseKey]) {
-              return false;
-            }
-            
-            // Enhanced check for payment plans: check by course name, section, and type
-            return !existingCourses.some(existingCourse => {
-              // For Associates Program
-              if (course.courseType === 'AssociatesProgram' && existingCourse.courseType === 'AssociatesProgram') {
-                return course.courseName === existingCourse.courseName && 
-                       course.placementInfo?.section === existingCourse.placementInfo?.section;
-              }
-              
-              // For Prophetic Guidance
-              if (course.courseType === 'PropheticGuidance' && existingCourse.courseType === 'PropheticGuidance') {
-                return course.courseName === existingCourse.courseName && 
-                       course.guidanceDetails?.section === existingCourse.guidanceDetails?.section &&
-                       course.guidanceDetails?.plan === existingCourse.guidanceDetails?.plan;
-              }
-              
-              // Default to false if course types don't match
-              return false;
-            });
-          });
-          
-          if (newCourses.length > 0) {
-            // Extract course data without studentInfo to avoid duplication
-            const coursesToAdd = newCourses.map(course => {
-              const { studentInfo: _, ...courseOnly } = course;
-              return courseOnly;
-            });
-            
-            // Update the user with new courses
-            batch.update(existingUserDoc.ref, {
-              courses: admin.firestore.FieldValue.arrayUnion(...coursesToAdd),
-              lastSynced: admin.firestore.FieldValue.serverTimestamp(),
-            });
-            
-            successCount += newCourses.length;
-          } else {
-            logger.info(`No new courses to add for user ${email}`);
-          }
+        if (newCourses.length === 0) {
+          logger.info(`No new courses to add for user ${email}`);
         } else {
-          // New user, add all courses
-          const firstCourse = coursesForUser[0];
-          const { studentInfo } = firstCourse;
-          
-          // Extract password for auth but don't store it in Firestore
-          const { password, ...studentInfoWithoutPassword } = studentInfo;
-          
-          // Normalize email to lowercase for consistency
-          studentInfoWithoutPassword.email = email;
-          
-          // Extract course data without studentInfo to avoid duplication
-          const courses = coursesForUser.map(course => {
-            const { studentInfo: _, ...courseOnly } = course;
-            return courseOnly;
-          });
-          
-          try {
-            logger.info(`Preparing to save new user with email ${email} and ${courses.length} courses`);
-            
-            // Create Firebase Authentication user
-            try {
-              logger.info(`Creating Firebase Authentication user for ${email}`);
-              await admin.auth().createUser({
-                email: email,
-                password: password || uuidv4().substring(0, 8),
-                displayName: `${studentInfo.firstName} ${studentInfo.lastName}`.trim(),
-                disabled: false
-              });
-              logger.info(`Firebase Authentication user created for ${email}`);
-            } catch (authError) {
-              // Check if error is because user already exists
-              if (authError.code === 'auth/email-already-exists') {
-                logger.info(`Firebase Authentication user already exists for ${email}`);
-              } else {
-                logger.error(`Error creating Firebase Authentication user for ${email}:`, authError);
-              }
-            }
-            
-            batch.set(docRef, {
-              studentInfo: studentInfoWithoutPassword,
-              courses,
-              createdAt: admin.firestore.FieldValue.serverTimestamp(),
-              lastSynced: admin.firestore.FieldValue.serverTimestamp(),
-            });
-            
-            successCount += courses.length;
-            logger.info(`Created new user ${email} with ${courses.length} courses`);
-            
-            // Send welcome email to new student with complete studentInfo (including password)
-            const newStudent = {
-              studentInfo, // Keep original studentInfo with password for email
-              courses
-            };
-            sendWelcomeEmail(newStudent)
-              .then(sent => {
-                if (sent) {
-                  logger.info(`Welcome email sent to new student ${email}`);
-                } else {
-                  logger.warn(`Failed to send welcome email to ${email}`);
-                }
-              })
-              .catch(emailError => {
-                logger.error(`Error sending welcome email to ${email}:`, emailError);
-              });
-          } catch (saveError) {
-            logger.error(`Error saving new user with email ${email}:`, saveError);
-          }
+          await restoreAuthAccess(existingUserDoc.ref, existingUserDoc.data());
         }
+        if (installmentCourses.length > 0) {
+          logger.info(`Recorded ${installmentCourses.length} payment plan installments for ${email}`);
+        }
+        if (studentInfoChanges.length > 0) {
+          logger.info(
+            `Updated details for ${email}: ${studentInfoChanges.map((change) => change.field).join(", ")}`
+          );
+        }
+        
+        const changed =
+          newCourses.length + installmentCourses.length + studentInfoChanges.length > 0;
+        result.succeeded.push({
+          email,
+          docId: existingUserDoc.id,
+          action: changed ? "updated" : "unchanged",
+          coursesAdded: newCourses.length,
+          installmentsRecorded: installmentCourses.length,
+          fieldsUpdated: studentInfoChanges.map((change) => change.field),
+        });
+        result.coursesAdded += newCourses.length;
+        result.installmentsRecorded += installmentCourses.length;
       } catch (userError) {
         logger.error(`Error processing user with email ${email}:`, userError);
+        result.failed.push({ email, stage: "update", error: userError.message });
       }
     }
     
-    // Commit all the batched writes
-    await batch.commit();
-    logger.info(`Saved/updated ${successCount} user records in Firestore`);
+    // Each new student writes its document and a welcome email outbox entry
+    // in its own batch (see onboardNewStudents)
+    const prepared = newStudents.map((student) => {
+      const { email, coursesForUser, password } = student;
+      delete student.password;
+      
+      // Details come from the newest order, like later merges (see studentMerge.js)
+      const latestRecord = getLatestRecord(coursesForUser);
+      
+      // Normalize email to lowercase for consistency
+      const studentInfo = { ...latestRecord.studentInfo, email };
+      
+      // Several orders of one payment plan in the same sync become installments
+      const courses = applyCourseChanges([], splitNewCourses([], coursesForUser));
+      
+      return {
+        email,
+        password,
+        data: {
+          studentInfo,
+          courses,
+          ...summarizeInstallments(courses),
+          studentInfoSource: {
+            orderNumber: latestRecord.orderNumber || null,
+            courseId: latestRecord.courseId || null,
+            createdOn: latestRecord.createdOn || null,
+          },
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          lastSynced: admin.firestore.FieldValue.serverTimestamp(),
+        },
+      };
+    });
+    
+    // The document is keyed by the Auth UID, so the Auth user comes first
+    const onboarding = await onboardNewStudents(db, prepared);
+    result.failed.push(...onboarding.failed);
+    
+    onboarding.succeeded.forEach(({ email, uid, docRef }) => {
+      const { courses } = prepared.find((student) => student.email === email).data;
+      logger.info(`Created new user ${email} (${uid}) with ${courses.length} courses`);
+      result.succeeded.push({
+        email,
+        docId: docRef.id,
+        action: "created",
+        coursesAdded: courses.length,
+        authUid: uid,
+      });
+      result.coursesAdded += courses.length;
+    });
     
-    return successCount;
+    logger.info(
+      `Saved ${result.coursesAdded} courses for ${result.succeeded.length} students in Firestore, ${result.failed.length} students failed`
+    );
+    
+    return result;
   } catch (error) {
     logger.error("Failed to save to Firestore:", error);
     throw error;
   }
 }
+
+/**
+ * Retry onboarding steps (Auth user creation, welcome email) that failed in earlier syncs
+ * @returns {Promise<Object>} - { retried, completed, failed }
+ */
+export async function retryPendingOnboarding() {
+  initializeFirebase();
+  return processOnboardingRetries(admin.firestore());
+}
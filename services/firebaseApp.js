@@ -0,0 +1,46 @@
+import admin from "firebase-admin";
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+let firebaseInitialized = false;
+
+/**
+ * Initialize the Firebase Admin SDK once per process
+ */
+export function initializeFirebase() {
+  if (firebaseInitialized) return;
+
+  try {
+    const serviceAccountJson = process.env.FIREBASE_SERVICE_ACCOUNT_BASE64
+      ? Buffer.from(
+          process.env.FIREBASE_SERVICE_ACCOUNT_BASE64,
+          "base64"
+        ).toString()
+      : process.env.FIREBASE_SERVICE_ACCOUNT_JSON;
+
+    if (!serviceAccountJson) throw new Error("Missing Firebase credentials");
+
+    const serviceAccount = JSON.parse(serviceAccountJson);
+
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+
+    firebaseInitialized = true;
+    logger.info("Firebase initialized");
+  } catch (error) {
+    logger.error("Failed to initialize Firebase:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get the Firestore instance, initializing Firebase on first use
+ * @returns {Object} - Firestore instance
+ */
+export function getFirestore() {
+  initializeFirebase();
+  return admin.firestore();
+}
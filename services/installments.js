@@ -0,0 +1,246 @@
+import { logger } from "../utils/logger.js";
+import { getPaymentPlan, INSTALLMENT_GRACE_DAYS } from "../models/paymentPlans.js";
+import { isCourseActive } from "./revocations.js";
+
+/**
+ * Payment plan installment tracking.
+ * Courses bought on a plan with several installments get a `payment` object:
+ *   { plan, installmentsExpected, intervalDays, installmentAmount, planTotal,
+ *     currency, installments: [{ courseId, orderNumber, amount, paidOn }],
+ *     installmentsPaid, paidToDate, complete, nextDueDate, overdue }
+ * Later orders for the same enrollment are appended to `installments`. An
+ * installment whose order is canceled or refunded keeps its entry with
+ * revokedReason and revokedAt, and no longer counts as paid.
+ * The student document carries `nextInstallmentDue` and
+ * `hasOverdueInstallment` so open plans can be queried.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Plan name stored in the course's type-specific details
+ * @param {Object} course - Course record
+ * @returns {string} - Plan name, or "" if none
+ */
+function getPlanName(course) {
+  const details =
+    course.placementInfo || course.guidanceDetails || course.courseDetails || {};
+  return details.plan || "";
+}
+
+/**
+ * Build the installment entry for a course record
+ * @param {Object} course - Course record from the mapper
+ * @returns {Object} - { courseId, orderNumber, amount, paidOn }
+ */
+function toInstallment(course) {
+  return {
+    courseId: course.courseId,
+    orderNumber: course.orderNumber || null,
+    amount: course.amountPaid?.value || 0,
+    paidOn: course.createdOn || new Date().toISOString(),
+  };
+}
+
+/**
+ * Recompute the derived totals, next due date and overdue flag of a payment
+ * @param {Object} payment - Payment object
+ * @param {Date} [now] - Current time
+ * @returns {Object} - Updated payment object
+ */
+export function computePaymentStatus(payment, now = new Date()) {
+  const installments = [...payment.installments].sort((a, b) =>
+    String(a.paidOn).localeCompare(String(b.paidOn))
+  );
+  const paid = installments.filter((entry) => !entry.revokedReason);
+  const installmentsPaid = paid.length;
+  const paidToDate =
+    Math.round(paid.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100;
+  const complete =
+    installmentsPaid >= payment.installmentsExpected ||
+    (payment.planTotal > 0 && paidToDate >= payment.planTotal);
+
+  // Installment n+1 is due intervalDays * n after the first payment
+  const firstPaidOn = new Date(installments[0].paidOn).getTime();
+  const nextDueDate = complete
+    ? null
+    : new Date(firstPaidOn + payment.intervalDays * installmentsPaid * DAY_MS).toISOString();
+  const overdue =
+    nextDueDate !== null &&
+    now.getTime() > new Date(nextDueDate).getTime() + INSTALLMENT_GRACE_DAYS * DAY_MS;
+
+  return {
+    ...payment,
+    installments,
+    installmentsPaid,
+    paidToDate,
+    complete,
+    nextDueDate,
+    overdue,
+  };
+}
+
+/**
+ * Attach a payment object to a new course bought on a multi-installment plan.
+ * Courses added by hand have no order or amount paid, so they are not tracked.
+ * @param {Object} course - Course record
+ * @returns {Object} - Course, with `payment` when its plan has several installments
+ */
+export function withPaymentPlan(course) {
+  if (course.addedManually) return course;
+  const planName = getPlanName(course);
+  const plan = getPaymentPlan(planName);
+  if (!plan || plan.installments < 2 || course.payment) return course;
+
+  const installmentAmount = course.amountPaid?.value || 0;
+  return {
+    ...course,
+    payment: computePaymentStatus({
+      plan: planName,
+      installmentsExpected: plan.installments,
+      intervalDays: plan.intervalDays,
+      installmentAmount,
+      planTotal: Math.round(installmentAmount * plan.installments * 100) / 100,
+      currency: course.amountPaid?.currency || null,
+      installments: [toInstallment(course)],
+    }),
+  };
+}
+
+/**
+ * Whether a course is tracking payment plan installments
+ * @param {Object} course - Stored course entry
+ * @returns {boolean}
+ */
+export function hasPaymentPlan(course) {
+  return Boolean(course?.payment);
+}
+
+/**
+ * Whether a course is, or will be, tracked as a multi-installment plan
+ * @param {Object} course - Course record or stored course entry
+ * @returns {boolean}
+ */
+export function isInstallmentPlan(course) {
+  if (hasPaymentPlan(course)) return true;
+  if (course.addedManually) return false;
+  return (getPaymentPlan(getPlanName(course))?.installments || 0) > 1;
+}
+
+/**
+ * Record a later order for the same enrollment as an installment
+ * @param {Object} course - Stored course entry with a payment object
+ * @param {Object} installmentCourse - Course record from the later order
+ * @returns {Object} - Updated course entry
+ */
+export function addInstallment(course, installmentCourse) {
+  // Courses stored before installment tracking start tracking now
+  const { payment } = withPaymentPlan(course);
+  if (!payment) return course;
+  if (payment.installments.some((entry) => entry.courseId === installmentCourse.courseId)) {
+    return course;
+  }
+
+  // Older courses have no recorded amount; take it from this installment
+  const installmentAmount =
+    payment.installmentAmount || installmentCourse.amountPaid?.value || 0;
+
+  return {
+    ...course,
+    payment: computePaymentStatus({
+      ...payment,
+      installmentAmount,
+      planTotal: Math.round(installmentAmount * payment.installmentsExpected * 100) / 100,
+      installments: [...payment.installments, toInstallment(installmentCourse)],
+    }),
+  };
+}
+
+/**
+ * Student-level installment fields derived from the student's courses
+ * @param {Array} courses - Stored course entries
+ * @returns {Object} - { nextInstallmentDue, hasOverdueInstallment }
+ */
+export function summarizeInstallments(courses) {
+  const open = courses.filter(
+    (course) => hasPaymentPlan(course) && isCourseActive(course) && course.payment.nextDueDate
+  );
+
+  return {
+    nextInstallmentDue:
+      open.map((course) => course.payment.nextDueDate).sort()[0] || null,
+    hasOverdueInstallment: open.some((course) => course.payment.overdue),
+  };
+}
+
+/**
+ * Refresh overdue flags on students whose next installment is past due.
+ * Runs after each sync so flags are set even when no new order arrives.
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>} - { checked, overdue }
+ */
+export async function refreshOverdueInstallments(db) {
+  const cutoff = new Date(Date.now() - INSTALLMENT_GRACE_DAYS * DAY_MS).toISOString();
+  const snapshot = await db
+    .collection("authorizedUsers")
+    .where("nextInstallmentDue", "<=", cutoff)
+    .get();
+
+  const summary = { checked: snapshot.size, overdue: 0 };
+
+  for (const studentDoc of snapshot.docs) {
+    // Re-read in a transaction so courses added by a concurrent sync are kept
+    const installmentSummary = await db.runTransaction(async (transaction) => {
+      const current = await transaction.get(studentDoc.ref);
+      const courses = (current.data()?.courses || []).map((course) =>
+        hasPaymentPlan(course)
+          ? { ...course, payment: computePaymentStatus(course.payment) }
+          : course
+      );
+      const result = summarizeInstallments(courses);
+      transaction.update(studentDoc.ref, { courses, ...result });
+      return result;
+    });
+
+    if (installmentSummary.hasOverdueInstallment) summary.overdue++;
+  }
+
+  if (summary.overdue > 0) {
+    logger.warn(`${summary.overdue} students have overdue payment plan installments`);
+  }
+  return summary;
+}
+
+/**
+ * List students with an overdue installment, for admin follow-up
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Array>} - [{ docId, email, name, courses: [...] }]
+ */
+export async function listOverdueInstallments(db) {
+  const snapshot = await db
+    .collection("authorizedUsers")
+    .where("hasOverdueInstallment", "==", true)
+    .get();
+
+  return snapshot.docs.map((studentDoc) => {
+    const { studentInfo = {}, courses = [] } = studentDoc.data();
+    return {
+      docId: studentDoc.id,
+      email: studentInfo.email,
+      name: `${studentInfo.firstName || ""} ${studentInfo.lastName || ""}`.trim(),
+      courses: courses
+        .filter((course) => isCourseActive(course) && course.payment?.overdue)
+        .map((course) => ({
+          courseId: course.courseId,
+          courseName: course.courseName,
+          plan: course.payment.plan,
+          installmentsPaid: course.payment.installmentsPaid,
+          installmentsExpected: course.payment.installmentsExpected,
+          paidToDate: course.payment.paidToDate,
+          planTotal: course.payment.planTotal,
+          currency: course.payment.currency,
+          nextDueDate: course.payment.nextDueDate,
+        })),
+    };
+  });
+}
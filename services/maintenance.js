@@ -0,0 +1,136 @@
+import admin from "firebase-admin";
+import { logger } from "../utils/logger.js";
+import { generateCourseRef } from "../models/courseRegistry.js";
+import { STUDENTS_COLLECTION } from "./students.js";
+
+/**
+ * Bulk maintenance of authorizedUsers documents, run from the admin CLI
+ * (see cli/). Every task supports a dry run that reports the documents it
+ * would change without writing.
+ */
+
+const BATCH_WRITE_LIMIT = 400;
+
+// studentInfo fields that identify the student and cannot be scrubbed
+const PROTECTED_FIELDS = ["email"];
+
+/**
+ * Apply updates to student documents in batches under the write limit
+ * @param {Object} db - Firestore instance
+ * @param {Array} updates - [{ ref, data }]
+ */
+async function commitUpdates(db, updates) {
+  for (let i = 0; i < updates.length; i += BATCH_WRITE_LIMIT) {
+    const batch = db.batch();
+    const chunk = updates.slice(i, i + BATCH_WRITE_LIMIT);
+    chunk.forEach(({ ref, data }) => {
+      batch.update(ref, {
+        ...data,
+        lastSynced: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    logger.info(`Committing batch of ${chunk.length} updates`);
+    await batch.commit();
+  }
+}
+
+/**
+ * Set courseRef on the courses of one student that do not have one yet
+ * @param {Array} [courses] - Stored course entries
+ * @returns {Object} - { courses, added, unknown } where unknown lists the
+ *   courseIds whose course type is not registered
+ */
+export function addMissingCourseRefs(courses = []) {
+  const result = { courses: [], added: 0, unknown: [] };
+
+  result.courses = courses.map((course) => {
+    if (course.courseRef) return course;
+
+    const courseRef = generateCourseRef(course);
+    if (!courseRef) {
+      result.unknown.push(course.courseId);
+      return course;
+    }
+
+    result.added++;
+    return { ...course, courseRef };
+  });
+
+  return result;
+}
+
+/**
+ * Set courseRef on stored courses that do not have one yet
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report the changes without writing
+ * @returns {Promise<Object>} - { dryRun, usersScanned, usersUpdated, coursesUpdated, unknownCourses }
+ */
+export async function backfillCourseRefs(db, { dryRun = false } = {}) {
+  const snapshot = await db.collection(STUDENTS_COLLECTION).get();
+  const summary = {
+    dryRun,
+    usersScanned: snapshot.size,
+    usersUpdated: 0,
+    coursesUpdated: 0,
+    unknownCourses: [],
+  };
+  const updates = [];
+
+  for (const userDoc of snapshot.docs) {
+    const { courses, added, unknown } = addMissingCourseRefs(userDoc.data().courses);
+    unknown.forEach((courseId) => summary.unknownCourses.push({ docId: userDoc.id, courseId }));
+
+    if (added > 0) {
+      summary.coursesUpdated += added;
+      updates.push({ ref: userDoc.ref, data: { courses } });
+    }
+  }
+
+  summary.usersUpdated = updates.length;
+  if (!dryRun) await commitUpdates(db, updates);
+
+  logger.info(
+    `${dryRun ? "Dry run: " : ""}Set courseRef on ${summary.coursesUpdated} courses for ${summary.usersUpdated} of ${summary.usersScanned} students`
+  );
+  return summary;
+}
+
+/**
+ * Remove a field from studentInfo on every student document, e.g. passwords
+ * stored by older versions of the sync
+ * @param {Object} db - Firestore instance
+ * @param {string} field - studentInfo field to remove
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report the changes without writing
+ * @returns {Promise<Object>} - { dryRun, field, usersScanned, usersUpdated, docIds }
+ */
+export async function scrubStudentField(db, field, { dryRun = false } = {}) {
+  if (!field || field.includes(".")) {
+    throw new Error(`Invalid studentInfo field "${field}"`);
+  }
+  if (PROTECTED_FIELDS.includes(field)) {
+    throw new Error(`studentInfo.${field} identifies the student and cannot be removed`);
+  }
+
+  const snapshot = await db.collection(STUDENTS_COLLECTION).get();
+  const updates = snapshot.docs
+    .filter((userDoc) => userDoc.data().studentInfo?.[field] !== undefined)
+    .map((userDoc) => ({
+      ref: userDoc.ref,
+      data: { [`studentInfo.${field}`]: admin.firestore.FieldValue.delete() },
+    }));
+
+  if (!dryRun) await commitUpdates(db, updates);
+
+  logger.info(
+    `${dryRun ? "Dry run: " : ""}Removed studentInfo.${field} from ${updates.length} of ${snapshot.size} students`
+  );
+  return {
+    dryRun,
+    field,
+    usersScanned: snapshot.size,
+    usersUpdated: updates.length,
+    docIds: updates.map(({ ref }) => ref.id),
+  };
+}
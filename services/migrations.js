@@ -0,0 +1,254 @@
+import fs from "fs";
+import admin from "firebase-admin";
+import { logger } from "../utils/logger.js";
+import { STUDENTS_COLLECTION } from "./students.js";
+
+/**
+ * Versioned data migrations.
+ * Migrations live in migrations/ as numbered modules ("001-name.js") and are
+ * applied in order. Each module exports:
+ * - description: what the migration does
+ * - up(data, id): fields to update on one document, or null to leave it unchanged
+ * - down(data, id) (optional): the reverse of up, used by rollback
+ * - collection (optional): the collection to migrate (default: authorizedUsers)
+ *
+ * Documents are paged by ID and the last migrated ID is checkpointed after
+ * each page, so an interrupted run resumes where it stopped. Progress and
+ * status are recorded in the migrations collection, one document per migration.
+ */
+
+export const MIGRATIONS_COLLECTION = "migrations";
+
+const MIGRATIONS_DIR = new URL("../migrations/", import.meta.url);
+const MIGRATION_FILE = /^(\d{3})-[\w-]+\.js$/;
+const DEFAULT_PAGE_SIZE = 200;
+
+/**
+ * Load and validate every migration module, in order
+ * @returns {Promise<Array>} - [{ name, description, collection, up, down }]
+ */
+export async function loadMigrations() {
+  const files = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const name = file.replace(/\.js$/, "");
+    const module = await import(new URL(file, MIGRATIONS_DIR));
+
+    if (typeof module.up !== "function") {
+      throw new Error(`Migration ${name} must export an up function`);
+    }
+    if (migrations.some((migration) => migration.name.slice(0, 3) === name.slice(0, 3))) {
+      throw new Error(`Migration number ${name.slice(0, 3)} is used more than once`);
+    }
+
+    migrations.push({
+      name,
+      description: module.description || "",
+      collection: module.collection || STUDENTS_COLLECTION,
+      up: module.up,
+      down: typeof module.down === "function" ? module.down : null,
+    });
+  }
+  return migrations;
+}
+
+/**
+ * Whether a migration record counts as applied
+ * @param {Object} [record] - Migration record
+ * @returns {boolean}
+ */
+function isApplied(record) {
+  return record?.status === "applied" || (record?.status === "running" && record.direction === "down");
+}
+
+/**
+ * Read the records of all migrations
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>} - Map of migration name to record
+ */
+async function getRecords(db) {
+  const snapshot = await db.collection(MIGRATIONS_COLLECTION).get();
+  return Object.fromEntries(snapshot.docs.map((doc) => [doc.id, doc.data()]));
+}
+
+/**
+ * List migrations with their status
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Array>} - [{ name, description, status, reversible, appliedAt, checkpoint }]
+ */
+export async function listMigrations(db) {
+  const [migrations, records] = await Promise.all([loadMigrations(), getRecords(db)]);
+
+  return migrations.map((migration) => {
+    const record = records[migration.name];
+    return {
+      name: migration.name,
+      description: migration.description,
+      status: record?.status || "pending",
+      direction: record?.direction || null,
+      reversible: Boolean(migration.down),
+      appliedAt: record?.appliedAt || null,
+      checkpoint: record?.status === "running" ? record.checkpoint : null,
+    };
+  });
+}
+
+/**
+ * Run one direction of a migration over its collection, page by page
+ * @param {Object} db - Firestore instance
+ * @param {Object} migration - Loaded migration
+ * @param {string} direction - "up" or "down"
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Count the documents that would change without writing
+ * @param {number} options.pageSize - Documents per page
+ * @returns {Promise<Object>} - { name, direction, docsScanned, docsUpdated, resumedFrom }
+ */
+async function runMigration(db, migration, direction, { dryRun, pageSize }) {
+  const recordRef = db.collection(MIGRATIONS_COLLECTION).doc(migration.name);
+  const record = (await recordRef.get()).data();
+  const transform = migration[direction];
+
+  // Resume an interrupted run in the same direction
+  const resume = record?.status === "running" && record.direction === direction;
+  const checkpoint = resume
+    ? record.checkpoint
+    : { lastDocId: null, docsScanned: 0, docsUpdated: 0 };
+  const resumedFrom = checkpoint.lastDocId;
+
+  if (resume && !dryRun) {
+    logger.info(`Resuming migration ${migration.name} (${direction}) after document ${resumedFrom}`);
+  }
+
+  if (!dryRun) {
+    await recordRef.set(
+      {
+        name: migration.name,
+        description: migration.description,
+        status: "running",
+        direction,
+        checkpoint,
+        ...(resume ? {} : { startedAt: admin.firestore.FieldValue.serverTimestamp() }),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  }
+
+  const baseQuery = db
+    .collection(migration.collection)
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(pageSize);
+
+  for (;;) {
+    const query = checkpoint.lastDocId ? baseQuery.startAfter(checkpoint.lastDocId) : baseQuery;
+    const page = await query.get();
+    if (page.empty) break;
+
+    const batch = db.batch();
+    let writes = 0;
+    for (const doc of page.docs) {
+      const update = await transform(doc.data(), doc.id);
+      if (update && Object.keys(update).length > 0) {
+        batch.update(doc.ref, update);
+        writes++;
+      }
+    }
+
+    checkpoint.docsScanned += page.size;
+    checkpoint.docsUpdated += writes;
+    checkpoint.lastDocId = page.docs[page.size - 1].id;
+
+    if (!dryRun) {
+      // The checkpoint is written with the page, so a page is never applied twice
+      batch.set(
+        recordRef,
+        { checkpoint, updatedAt: admin.firestore.FieldValue.serverTimestamp() },
+        { merge: true }
+      );
+      await batch.commit();
+    }
+
+    if (page.size < pageSize) break;
+  }
+
+  if (!dryRun) {
+    const completedAtField = direction === "up" ? "appliedAt" : "rolledBackAt";
+    await recordRef.set(
+      {
+        status: direction === "up" ? "applied" : "rolled-back",
+        checkpoint: null,
+        lastRun: { docsScanned: checkpoint.docsScanned, docsUpdated: checkpoint.docsUpdated },
+        [completedAtField]: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+      { merge: true }
+    );
+  }
+
+  logger.info(
+    `${dryRun ? "Dry run: " : ""}Migration ${migration.name} (${direction}) ${dryRun ? "would update" : "updated"} ${checkpoint.docsUpdated} of ${checkpoint.docsScanned} documents`
+  );
+  return {
+    name: migration.name,
+    direction,
+    docsScanned: checkpoint.docsScanned,
+    docsUpdated: checkpoint.docsUpdated,
+    resumedFrom,
+  };
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options]
+ * @param {string} [options.to] - Stop after this migration (name or number)
+ * @param {boolean} [options.dryRun] - Count the documents that would change without writing
+ * @param {number} [options.pageSize] - Documents per page
+ * @returns {Promise<Array>} - Result of each migration run
+ */
+export async function applyMigrations(db, { to, dryRun = false, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const [migrations, records] = await Promise.all([loadMigrations(), getRecords(db)]);
+
+  let selected = migrations;
+  if (to) {
+    const index = migrations.findIndex((migration) => migration.name.startsWith(to));
+    if (index === -1) throw new Error(`Migration ${to} not found`);
+    selected = migrations.slice(0, index + 1);
+  }
+
+  const results = [];
+  for (const migration of selected) {
+    if (isApplied(records[migration.name])) continue;
+    results.push(await runMigration(db, migration, "up", { dryRun, pageSize }));
+  }
+
+  if (results.length === 0) logger.info("No pending migrations");
+  return results;
+}
+
+/**
+ * Roll back the most recently applied migration
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Count the documents that would change without writing
+ * @param {number} [options.pageSize] - Documents per page
+ * @returns {Promise<Object|null>} - Result of the rollback, or null if nothing is applied
+ */
+export async function rollbackMigration(db, { dryRun = false, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  const [migrations, records] = await Promise.all([loadMigrations(), getRecords(db)]);
+  const migration = [...migrations].reverse().find((candidate) => isApplied(records[candidate.name]));
+
+  if (!migration) {
+    logger.info("No applied migrations to roll back");
+    return null;
+  }
+  if (!migration.down) {
+    throw new Error(`Migration ${migration.name} cannot be rolled back: it has no down function`);
+  }
+
+  return runMigration(db, migration, "down", { dryRun, pageSize });
+}
@@ -0,0 +1,369 @@
+import fs from "fs";
+import admin from "firebase-admin";
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+import { createWelcomeEntry, OUTBOX_COLLECTION } from "./emailOutbox.js";
+import { findStudentDoc, STUDENTS_COLLECTION } from "./students.js";
+
+dotenv.config();
+
+export const RETRY_COLLECTION = "onboardingRetries";
+const MAX_RETRY_ATTEMPTS = 5;
+
+/**
+ * How a new student gets into their account, set per course type in
+ * config/onboarding.json. Listed from least to most preferred: a student
+ * whose courses use different modes gets the most preferred one.
+ * - password: the password chosen on the enrollment form; students who did not
+ *   choose one get a password reset link
+ * - password-reset-link: the account has no password until the student sets
+ *   one through the emailed link; the form password is ignored
+ * - sign-in-link: passwordless sign-in through an emailed link
+ * Passwords are never emailed.
+ */
+export const ACCOUNT_MODES = ["password", "password-reset-link", "sign-in-link"];
+
+const CONFIG_FILE = new URL("../config/onboarding.json", import.meta.url);
+
+/**
+ * Load and validate the account modes
+ * @returns {Object} - { default, courseTypes }
+ */
+function loadAccountModes() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+  const defaultMode =
+    process.env.ONBOARDING_ACCOUNT_MODE || config.default || "password";
+  const courseTypes = config.courseTypes || {};
+
+  for (const [courseType, mode] of Object.entries({ default: defaultMode, ...courseTypes })) {
+    if (!ACCOUNT_MODES.includes(mode)) {
+      throw new Error(
+        `Invalid account mode "${mode}" for ${courseType} in onboarding.json. Expected one of: ${ACCOUNT_MODES.join(", ")}`
+      );
+    }
+  }
+
+  return { default: defaultMode, courseTypes };
+}
+
+const accountModes = loadAccountModes();
+
+/**
+ * Pick the account mode for a new student from their courses
+ * @param {Array} courses - Course records or stored course entries
+ * @returns {string} - One of ACCOUNT_MODES
+ */
+export function getAccountMode(courses = []) {
+  const modes = courses.map(
+    (course) => accountModes.courseTypes[course.courseType] || accountModes.default
+  );
+  if (modes.length === 0) return accountModes.default;
+  return modes.reduce((preferred, mode) =>
+    ACCOUNT_MODES.indexOf(mode) > ACCOUNT_MODES.indexOf(preferred) ? mode : preferred
+  );
+}
+
+/**
+ * Create the Firebase Auth user for a student, or link the existing one.
+ * The password is only passed to Firebase; it is never logged or stored.
+ * @param {string} email - Normalized student email
+ * @param {Object} options
+ * @param {string} options.displayName - Student name
+ * @param {string} [options.password] - Password chosen on the enrollment form
+ * @param {string} options.accountMode - One of ACCOUNT_MODES
+ * @returns {Promise<Object>} - { uid, created, passwordMode } (see PASSWORD_MODES in emailOutbox.js)
+ */
+async function createOrLinkAuthUser(email, { displayName, password, accountMode }) {
+  const usePassword = accountMode === "password" && Boolean(password);
+  const linkMode = accountMode === "sign-in-link" ? "sign-in-link" : "reset-link";
+
+  try {
+    logger.info(`Creating Firebase Authentication user for ${email}`);
+    const userRecord = await admin.auth().createUser({
+      email,
+      ...(usePassword ? { password } : {}),
+      displayName,
+      disabled: false,
+    });
+    logger.info(`Firebase Authentication user created for ${email}`);
+    return {
+      uid: userRecord.uid,
+      created: true,
+      passwordMode: usePassword ? "chosen" : linkMode,
+    };
+  } catch (authError) {
+    if (authError.code === "auth/email-already-exists") {
+      const userRecord = await admin.auth().getUserByEmail(email);
+      logger.info(`Linked existing Firebase Authentication user for ${email}`);
+      return { uid: userRecord.uid, created: false, passwordMode: "existing" };
+    }
+
+    // The form password did not meet Firebase's rules; the student sets one through a link
+    if (authError.code === "auth/invalid-password" && usePassword) {
+      logger.warn(`Password chosen by ${email} was rejected, sending a password reset link instead`);
+      return createOrLinkAuthUser(email, { displayName, accountMode: "password-reset-link" });
+    }
+
+    throw authError;
+  }
+}
+
+/**
+ * Display name for the Auth user
+ * @param {Object} studentInfo - Student info
+ * @returns {string}
+ */
+function getDisplayName(studentInfo = {}) {
+  return `${studentInfo.firstName || ""} ${studentInfo.lastName || ""}`.trim();
+}
+
+/**
+ * Record a failed onboarding step so it can be retried later
+ * @param {Object} db - Firestore instance
+ * @param {Object} entry - { email, step, error } and the step's references (document, uid, or docPath and outboxPath)
+ */
+async function queueRetry(db, entry) {
+  await db
+    .collection(RETRY_COLLECTION)
+    .doc(entry.email)
+    .set({
+      ...entry,
+      attempts: 0,
+      status: "pending",
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  logger.warn(`Queued onboarding retry for ${entry.email} at step "${entry.step}"`);
+}
+
+/**
+ * Store the Auth uid on a student document created before documents were
+ * keyed by UID, and release its welcome email
+ * @param {Object} db - Firestore instance
+ * @param {Object} docRef - Student document reference
+ * @param {Object} outboxRef - Welcome email outbox entry reference
+ * @param {Object} auth - Result of createOrLinkAuthUser
+ */
+async function completeAuthStep(db, docRef, outboxRef, auth) {
+  const batch = db.batch();
+  batch.update(docRef, { authUid: auth.uid });
+  batch.update(outboxRef, {
+    status: "pending",
+    passwordMode: auth.passwordMode,
+    nextAttemptAt: new Date().toISOString(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  await batch.commit();
+}
+
+/**
+ * Delete an Auth user created for a student whose document could not be
+ * written, so the next sync starts from a clean state. If the delete fails,
+ * a retry entry is queued in the onboardingRetries collection.
+ * @param {Object} db - Firestore instance
+ * @param {string} email - Student email
+ * @param {Object} auth - Result of createOrLinkAuthUser
+ * @param {string} error - Why the document could not be written
+ */
+async function rollbackAuthUser(db, email, auth, error) {
+  // A linked user existed before this sync and is left alone
+  if (!auth.created) return;
+
+  try {
+    await admin.auth().deleteUser(auth.uid);
+    logger.warn(`Rolled back Firebase Authentication user for ${email}`);
+  } catch (rollbackError) {
+    logger.error(`Rollback failed for ${email}:`, rollbackError.message);
+    await queueRetry(db, { email, uid: auth.uid, step: "rollback-auth", error });
+  }
+}
+
+/**
+ * Write a new student's document, keyed by the Auth UID, together with their
+ * welcome email outbox entry in one batch
+ * @param {Object} db - Firestore instance
+ * @param {string} email - Student email
+ * @param {Object} data - Document to write
+ * @param {Object} auth - Result of createOrLinkAuthUser
+ * @returns {Promise<Object>} - Student document reference
+ */
+async function createStudentDocument(db, email, data, auth) {
+  const docRef = db.collection(STUDENTS_COLLECTION).doc(auth.uid);
+  const batch = db.batch();
+
+  // create() fails if a concurrent run already created this student
+  batch.create(docRef, { ...data, authUid: auth.uid });
+  batch.create(
+    db.collection(OUTBOX_COLLECTION).doc(),
+    createWelcomeEntry({ email, studentDocPath: docRef.path, passwordMode: auth.passwordMode })
+  );
+  await batch.commit();
+  return docRef;
+}
+
+/**
+ * Onboard new students, each step only after the previous one succeeded:
+ * 1. Create the Firebase Auth user, or link the existing one
+ * 2. Write the authorizedUsers document keyed by the Auth UID, together with
+ *    the welcome email outbox entry, in one batch per student
+ * The email outbox then sends the welcome email. If a student's Auth user
+ * cannot be created, a create-auth retry is queued with their document. If a
+ * student's batch fails, the Auth user created for them in step 1 is deleted
+ * again; other students are not affected. Each student's password is
+ * dropped as soon as their Auth user has been created.
+ * @param {Object} db - Firestore instance
+ * @param {Array} students - [{ email, password, data }] where password is the
+ *   one chosen on the form (if any) and data is the document to write
+ * @returns {Promise<Object>} - { succeeded: [{ email, uid, docRef }], failed: [{ email, stage, error }] }
+ */
+export async function onboardNewStudents(db, students) {
+  const result = { succeeded: [], failed: [] };
+  const authorized = [];
+
+  for (const student of students) {
+    try {
+      const auth = await createOrLinkAuthUser(student.email, {
+        displayName: getDisplayName(student.data.studentInfo),
+        password: student.password,
+        accountMode: getAccountMode(student.data.courses),
+      });
+      authorized.push({ email: student.email, data: student.data, auth });
+    } catch (authError) {
+      logger.error(`Error creating Firebase Authentication user for ${student.email}:`, authError.message);
+      result.failed.push({ email: student.email, stage: "auth", error: authError.message });
+
+      // Retried even if the order drops out of later sync windows; the
+      // timestamps are set again when the document is written
+      const { createdAt: _, lastSynced: __, ...document } = student.data;
+      try {
+        await queueRetry(db, { email: student.email, step: "create-auth", document, error: authError.message });
+      } catch (queueError) {
+        logger.error(`Failed to queue onboarding retry for ${student.email}:`, queueError.message);
+      }
+    } finally {
+      delete student.password;
+    }
+  }
+
+  // One batch per student, so a conflict or failure only rolls back that student
+  for (const student of authorized) {
+    try {
+      const docRef = await createStudentDocument(db, student.email, student.data, student.auth);
+      result.succeeded.push({ email: student.email, uid: student.auth.uid, docRef });
+    } catch (batchError) {
+      logger.error(`Failed to create student document for ${student.email}:`, batchError.message);
+      await rollbackAuthUser(db, student.email, student.auth, batchError.message);
+      result.failed.push({ email: student.email, stage: "create", error: batchError.message });
+    }
+  }
+
+  if (authorized.length > 0) {
+    logger.info(`Created ${result.succeeded.length} of ${authorized.length} new student documents`);
+  }
+  return result;
+}
+
+/**
+ * Retry a queued onboarding step
+ * - create-auth: create the Auth user of a new student and write their
+ *   document and welcome email, unless the student has since been created
+ * - rollback-auth: delete an Auth user whose student document was never
+ *   written, unless a student document has since been created for the email
+ * - auth: create the Auth user for a document written before documents were
+ *   keyed by UID, then release its welcome email
+ * @param {Object} db - Firestore instance
+ * @param {Object} entry - Retry entry
+ */
+async function retryStep(db, entry) {
+  if (entry.step === "create-auth") {
+    if (await findStudentDoc(db, entry.email)) {
+      logger.info(`Student ${entry.email} has since been created, skipping retry`);
+      return;
+    }
+    const { studentInfo, courses } = entry.document;
+
+    // The form password is not stored, so the student sets one through a link.
+    // If the document cannot be written, the next attempt links this Auth user.
+    const auth = await createOrLinkAuthUser(entry.email, {
+      displayName: getDisplayName(studentInfo),
+      accountMode: getAccountMode(courses),
+    });
+    await createStudentDocument(db, entry.email, {
+      ...entry.document,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      lastSynced: admin.firestore.FieldValue.serverTimestamp(),
+    }, auth);
+    return;
+  }
+
+  if (entry.step === "rollback-auth") {
+    if (await findStudentDoc(db, entry.email)) {
+      logger.info(`Auth user for ${entry.email} is now in use, skipping rollback`);
+      return;
+    }
+    try {
+      await admin.auth().deleteUser(entry.uid);
+    } catch (deleteError) {
+      if (deleteError.code !== "auth/user-not-found") throw deleteError;
+    }
+    return;
+  }
+
+  const studentDoc = await db.doc(entry.docPath).get();
+  if (!studentDoc.exists) {
+    throw new Error(`Student document ${entry.docPath} no longer exists`);
+  }
+  const { studentInfo, courses } = studentDoc.data();
+
+  // The form password is not stored, so the student sets one through a link
+  const auth = await createOrLinkAuthUser(entry.email, {
+    displayName: getDisplayName(studentInfo),
+    accountMode: getAccountMode(courses),
+  });
+  await completeAuthStep(db, studentDoc.ref, db.doc(entry.outboxPath), auth);
+}
+
+/**
+ * Retry onboarding steps queued by earlier syncs
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object>} - { retried, completed, failed }
+ */
+export async function processOnboardingRetries(db) {
+  const pending = await db
+    .collection(RETRY_COLLECTION)
+    .where("status", "==", "pending")
+    .get();
+
+  const summary = { retried: 0, completed: 0, failed: 0 };
+  if (pending.empty) return summary;
+
+  logger.info(`Retrying ${pending.size} pending onboarding steps`);
+
+  for (const retryDoc of pending.docs) {
+    const entry = retryDoc.data();
+    summary.retried++;
+
+    try {
+      await retryStep(db, entry);
+
+      await retryDoc.ref.update({
+        status: "completed",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      summary.completed++;
+      logger.info(`Completed onboarding retry for ${entry.email}`);
+    } catch (retryError) {
+      const attempts = (entry.attempts || 0) + 1;
+      await retryDoc.ref.update({
+        attempts,
+        error: retryError.message,
+        status: attempts >= MAX_RETRY_ATTEMPTS ? "failed" : "pending",
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      summary.failed++;
+      logger.error(`Onboarding retry failed for ${entry.email}:`, retryError.message);
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,92 @@
+import admin from "firebase-admin";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Ledger of Squarespace orders already saved to Firestore, shared by the
+ * webhook receiver and the polling sync so an order delivered by both is
+ * only processed once. An order is processed again when Squarespace reports
+ * a newer modifiedOn than the one recorded.
+ */
+
+export const PROCESSED_ORDERS_COLLECTION = "processedOrders";
+
+// Firestore rejects batches with more than 500 writes
+const BATCH_WRITE_LIMIT = 400;
+
+/**
+ * Split orders into ones that still need processing and ones already in the ledger
+ * @param {Object} db - Firestore instance
+ * @param {Array} orders - Raw Squarespace orders
+ * @returns {Promise<Object>} - { pending, skipped }
+ */
+export async function filterUnprocessedOrders(db, orders) {
+  const entries = await Promise.all(
+    orders.map((order) => db.collection(PROCESSED_ORDERS_COLLECTION).doc(order.id).get())
+  );
+
+  const pending = [];
+  const skipped = [];
+
+  orders.forEach((order, index) => {
+    const entry = entries[index].exists ? entries[index].data() : null;
+    const processed =
+      entry && (!order.modifiedOn || entry.modifiedOn >= order.modifiedOn);
+    (processed ? skipped : pending).push(order);
+  });
+
+  if (skipped.length > 0) {
+    logger.info(
+      `Skipping ${skipped.length} orders already processed: ${skipped
+        .map((order) => order.orderNumber)
+        .join(", ")}`
+    );
+  }
+
+  return { pending, skipped };
+}
+
+/**
+ * Record orders as processed, except those with a student that failed to save
+ * and those left out explicitly (e.g. rejections that could not be dead-lettered)
+ * @param {Object} db - Firestore instance
+ * @param {Array} orders - Raw Squarespace orders that were saved
+ * @param {Object} options
+ * @param {Array} options.records - Course records mapped from the orders
+ * @param {Array} [options.failed] - Failed students from saveToFirestore
+ * @param {Array<string>} [options.exclude] - IDs of orders to leave unprocessed
+ * @param {string} options.source - "webhook" or "poll"
+ * @returns {Promise<number>} - Number of orders recorded
+ */
+export async function markOrdersProcessed(db, orders, { records, failed = [], exclude = [], source }) {
+  const failedEmails = new Set(failed.map((student) => student.email));
+  const excluded = new Set(exclude);
+
+  // courseId is `${order.id}-${lineItem.id}` (see models/)
+  const completed = orders.filter(
+    (order) =>
+      !excluded.has(order.id) &&
+      !records.some(
+        (record) =>
+          record.courseId?.startsWith(`${order.id}-`) &&
+          failedEmails.has(record.studentInfo?.email?.toLowerCase().trim())
+      )
+  );
+
+  if (completed.length === 0) return 0;
+
+  for (let i = 0; i < completed.length; i += BATCH_WRITE_LIMIT) {
+    const batch = db.batch();
+    completed.slice(i, i + BATCH_WRITE_LIMIT).forEach((order) => {
+      batch.set(db.collection(PROCESSED_ORDERS_COLLECTION).doc(order.id), {
+        orderId: order.id,
+        orderNumber: order.orderNumber || null,
+        modifiedOn: order.modifiedOn || null,
+        source,
+        processedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    });
+    await batch.commit();
+  }
+
+  return completed.length;
+}
@@ -0,0 +1,186 @@
+import { fetchOrderById } from "./squarespace.js";
+import { processOrderData } from "./dataProcessor.js";
+import { previewFirestoreChanges, saveToFirestore } from "./firebase.js";
+import { processEmailOutbox } from "./emailOutbox.js";
+import { markOrdersProcessed } from "./orderLedger.js";
+import { acquireSyncLock } from "./syncLock.js";
+import { revokeCourses, splitRevokedRecords } from "./revocations.js";
+import {
+  buildReplayOrder,
+  getDeadLetter,
+  markDeadLetterReplayed,
+  recordDeadLetters,
+} from "./deadLetters.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Saving individual Squarespace orders outside the polling sync, for webhook
+ * notifications, admin re-runs and dead letter replays
+ */
+
+/**
+ * Map orders to course records, save active ones, revoke canceled or refunded
+ * ones, record the orders in the processed-order ledger and send welcome emails.
+ * Line items that cannot be mapped or saved are dead-lettered. Holds the sync
+ * lock while it writes, like the polling sync.
+ * @param {Object} db - Firestore instance
+ * @param {Array} orders - Squarespace orders
+ * @param {Object} options
+ * @param {string} options.source - What triggered the sync, recorded in the ledger
+ * @returns {Promise<Object>} - { status, records, saveResult, revokeResult, failed, deadLettered }
+ * @throws {Error} - With code "sync-locked" and status 409 while another sync holds the lock
+ */
+export async function syncOrders(db, orders, { source }) {
+  let lock;
+  try {
+    lock = await acquireSyncLock(db, { description: `${source} order sync` });
+  } catch (error) {
+    if (error.code === "sync-locked") error.status = 409;
+    throw error;
+  }
+
+  try {
+    return await syncOrdersLocked(db, orders, { source });
+  } finally {
+    await lock.release();
+  }
+}
+
+/**
+ * Body of syncOrders, run while holding the sync lock
+ * @param {Object} db - Firestore instance
+ * @param {Array} orders - Squarespace orders
+ * @param {Object} options
+ * @param {string} options.source - What triggered the sync
+ * @returns {Promise<Object>} - See syncOrders
+ */
+async function syncOrdersLocked(db, orders, { source }) {
+  const rejections = [];
+  const records = await processOrderData(orders, {
+    onReject: (rejection) => rejections.push(rejection),
+  });
+  const { ids: deadLettered, unrecorded } = await recordDeadLetters(db, rejections, { source });
+  // Orders with a rejection that could not be stored are left for the next sync
+  const exclude = unrecorded.map(({ order }) => order?.id);
+
+  if (records.length === 0) {
+    // Not an enrollment (no service line items) or nothing could be mapped;
+    // record it so polling skips it too
+    await markOrdersProcessed(db, orders, { records, exclude, source });
+    return {
+      status: rejections.length > 0 ? "rejected" : "ignored",
+      records,
+      failed: [],
+      deadLettered,
+    };
+  }
+
+  // Canceled and refunded line items arrive as order updates
+  const { activeRecords, revokedRecords } = splitRevokedRecords(orders, records);
+  const saveResult = await saveToFirestore(activeRecords);
+  const revokeResult = await revokeCourses(db, revokedRecords);
+  const failed = [...saveResult.failed, ...revokeResult.failed];
+
+  await markOrdersProcessed(db, orders, { records, failed, exclude, source });
+
+  // Send the welcome email now rather than at the next sync
+  try {
+    await processEmailOutbox(db);
+  } catch (outboxError) {
+    logger.error("Error processing email outbox:", outboxError.message);
+  }
+
+  return {
+    status: failed.length > 0 || rejections.length > 0 ? "partial" : "processed",
+    records,
+    saveResult,
+    revokeResult,
+    failed,
+    deadLettered,
+  };
+}
+
+/**
+ * Fetch an order and map it again, even if it was already processed, e.g.
+ * after fixing form field mappings
+ * @param {Object} db - Firestore instance
+ * @param {string} orderId - Squarespace order ID
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report the changes without writing
+ * @returns {Promise<Object>} - { orderId, orderNumber, status, report } for dry runs, otherwise the result of syncOrders
+ */
+export async function remapOrder(db, orderId, { dryRun = false } = {}) {
+  const order = await fetchOrderById(orderId);
+  logger.info(`Re-running mapping for order ${order.orderNumber || orderId}${dryRun ? " (dry run)" : ""}`);
+
+  if (dryRun) {
+    const rejected = [];
+    const records = await processOrderData([order], {
+      onReject: ({ lineItem, stage, reason, violations = [] }) =>
+        rejected.push({ lineItemId: lineItem?.id || null, stage, reason, violations }),
+    });
+    const { activeRecords, revokedRecords } = splitRevokedRecords([order], records);
+    const report = await previewFirestoreChanges(activeRecords);
+    report.revocations = revokedRecords.map((record) => ({
+      email: record.studentInfo?.email?.toLowerCase().trim(),
+      courseId: record.courseId,
+      reason: record.revokedReason,
+    }));
+    report.rejected = rejected;
+    return { orderId, orderNumber: order.orderNumber, status: "dry-run", report };
+  }
+
+  const { records: _, ...result } = await syncOrders(db, [order], { source: "admin" });
+  return { orderId, orderNumber: order.orderNumber, ...result };
+}
+
+/**
+ * Replay a dead letter, optionally with fixes to its payload
+ * @param {Object} db - Firestore instance
+ * @param {string} id - Dead letter ID
+ * @param {Object} [options]
+ * @param {Object} [options.fix] - { order, lineItem } fields to override (see buildReplayOrder)
+ * @param {string} [options.by] - Who replayed it
+ * @param {boolean} [options.dryRun] - Report the changes without writing
+ * @returns {Promise<Object|null>} - { id, replayed, reason, ... }, or null if not found.
+ *   replayed is false when the order was rejected again or a student failed to save.
+ */
+export async function replayDeadLetter(db, id, { fix = null, by = null, dryRun = false } = {}) {
+  const deadLetter = await getDeadLetter(db, id);
+  if (!deadLetter) return null;
+  if (deadLetter.status !== "open") {
+    const error = new Error(`Dead letter ${id} is ${deadLetter.status}, only open dead letters can be replayed`);
+    error.status = 409;
+    throw error;
+  }
+
+  const order = buildReplayOrder(deadLetter, fix || {});
+  logger.info(`Replaying dead letter ${id}${fix ? " with fixes" : ""}${dryRun ? " (dry run)" : ""}`);
+
+  if (dryRun) {
+    const rejected = [];
+    const records = await processOrderData([order], {
+      onReject: ({ stage, reason, violations = [] }) => rejected.push({ stage, reason, violations }),
+    });
+    return {
+      id,
+      replayed: false,
+      dryRun: true,
+      reason: rejected[0] ? `${rejected[0].stage}: ${rejected[0].reason}` : null,
+      violations: rejected[0]?.violations || [],
+      report: await previewFirestoreChanges(records),
+    };
+  }
+
+  const { records: _, ...result } = await syncOrders(db, [order], { source: "replay" });
+  if (result.status === "rejected" || result.deadLettered.length > 0) {
+    const { stage, reason, violations = [] } = await getDeadLetter(db, id);
+    return { id, replayed: false, reason: `${stage}: ${reason}`, violations, ...result };
+  }
+  if (result.failed.length > 0) {
+    return { id, replayed: false, reason: result.failed.map((entry) => entry.error).join("; "), ...result };
+  }
+
+  await markDeadLetterReplayed(db, id, { fix, by });
+  return { id, replayed: true, reason: null, ...result };
+}
@@ -0,0 +1,249 @@
+import admin from "firebase-admin";
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+import { findStudentDoc } from "./students.js";
+import { computePaymentStatus, summarizeInstallments } from "./installments.js";
+
+dotenv.config();
+
+// Disable the Firebase Auth user once a student has no active courses left
+const DISABLE_AUTH_WHEN_NO_COURSES = process.env.REVOKE_DISABLE_AUTH === "true";
+
+/**
+ * Parse a Squarespace money value ({ value: "12.50" })
+ * @param {Object} [money] - Money object
+ * @returns {number} - Amount, 0 when missing
+ */
+function toAmount(money) {
+  return parseFloat(money?.value) || 0;
+}
+
+/**
+ * Find the line items of an order whose course access should be revoked.
+ * Canceled and fully refunded orders revoke every line item. Squarespace does
+ * not say which items a partial refund covers, so a partial refund only
+ * revokes a line item when exactly one service item matches the refunded amount;
+ * other partial refunds are logged for manual review.
+ * @param {Object} order - Squarespace order
+ * @returns {Object} - Map of line item ID to revocation reason
+ */
+export function getRevokedLineItems(order) {
+  const serviceItems = (order.lineItems || []).filter(
+    (item) => item.lineItemType === "SERVICE"
+  );
+  const revokeAll = (reason) =>
+    Object.fromEntries(serviceItems.map((item) => [item.id, reason]));
+
+  if (order.fulfillmentStatus === "CANCELED") return revokeAll("canceled");
+
+  const refunded = toAmount(order.refundedTotal);
+  if (refunded <= 0) return {};
+
+  if (refunded >= toAmount(order.grandTotal)) return revokeAll("refunded");
+
+  const matches = serviceItems.filter(
+    (item) =>
+      Math.abs(toAmount(item.unitPricePaid) * (item.quantity || 1) - refunded) < 0.005
+  );
+  if (matches.length === 1) return { [matches[0].id]: "refunded" };
+
+  logger.warn(
+    `Order ${order.orderNumber} was partially refunded (${refunded}) but the refunded line item is ambiguous; review course access manually`
+  );
+  return {};
+}
+
+/**
+ * Split mapped course records into ones to save and ones to revoke
+ * @param {Array} orders - Raw Squarespace orders the records were mapped from
+ * @param {Array} records - Course records from processOrderData
+ * @returns {Object} - { activeRecords, revokedRecords } (revoked records carry revokedReason)
+ */
+export function splitRevokedRecords(orders, records) {
+  // courseId is `${order.id}-${lineItem.id}` (see models/)
+  const reasons = {};
+  orders.forEach((order) => {
+    for (const [lineItemId, reason] of Object.entries(getRevokedLineItems(order))) {
+      reasons[`${order.id}-${lineItemId}`] = reason;
+    }
+  });
+
+  const activeRecords = [];
+  const revokedRecords = [];
+  records.forEach((record) => {
+    const reason = reasons[record.courseId];
+    if (reason) revokedRecords.push({ ...record, revokedReason: reason });
+    else activeRecords.push(record);
+  });
+
+  return { activeRecords, revokedRecords };
+}
+
+/**
+ * Whether a stored course still grants access
+ * @param {Object} course - Course entry from an authorizedUsers document
+ * @returns {boolean}
+ */
+export function isCourseActive(course) {
+  return course.status !== "revoked";
+}
+
+/**
+ * Mark a payment plan installment of a course as revoked. The course keeps
+ * access, but the installment no longer counts as paid, so the plan shows it
+ * as due again.
+ * @param {Object} course - Stored course entry with a payment object
+ * @param {string} courseId - Course ID of the installment's order
+ * @param {string} reason - Revocation reason
+ * @param {string} revokedAt - ISO timestamp
+ * @returns {Object} - Updated course entry
+ */
+function revokeInstallment(course, courseId, reason, revokedAt) {
+  return {
+    ...course,
+    payment: computePaymentStatus({
+      ...course.payment,
+      installments: course.payment.installments.map((entry) =>
+        entry.courseId === courseId ? { ...entry, revokedReason: reason, revokedAt } : entry
+      ),
+    }),
+  };
+}
+
+/**
+ * Mark the student's courses as revoked inside a transaction. A record whose
+ * courseId belongs to a later installment of a stored course (its order was
+ * an installment of the plan) revokes that installment rather than the course.
+ * @param {Object} db - Firestore instance
+ * @param {Object} docRef - Student document reference
+ * @param {Array} records - Revoked course records for this student
+ * @returns {Promise<Object>} - { revoked, installmentsRevoked, alreadyRevoked, notFound, activeRemaining, authUid }
+ */
+export async function revokeStudentCourses(db, docRef, records) {
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(docRef);
+    const { courses = [], authUid = null } = snapshot.data() || {};
+    const result = { revoked: [], installmentsRevoked: [], alreadyRevoked: [], notFound: [], authUid };
+
+    const reasons = Object.fromEntries(
+      records.map((record) => [record.courseId, record.revokedReason])
+    );
+    const revokedAt = new Date().toISOString();
+
+    const updatedCourses = courses.map((course) => {
+      const reason = reasons[course.courseId];
+      if (!reason) {
+        // The first installment is the course's own order, matched above
+        const installments = (course.payment?.installments || []).filter(
+          (entry) => entry.courseId !== course.courseId && reasons[entry.courseId]
+        );
+        return installments.reduce((updated, entry) => {
+          const installmentReason = reasons[entry.courseId];
+          delete reasons[entry.courseId];
+
+          if (entry.revokedReason) {
+            result.alreadyRevoked.push(entry.courseId);
+            return updated;
+          }
+          result.installmentsRevoked.push(entry.courseId);
+          return revokeInstallment(updated, entry.courseId, installmentReason, revokedAt);
+        }, course);
+      }
+      delete reasons[course.courseId];
+
+      if (!isCourseActive(course)) {
+        result.alreadyRevoked.push(course.courseId);
+        return course;
+      }
+      result.revoked.push(course.courseId);
+      return { ...course, status: "revoked", revokedReason: reason, revokedAt };
+    });
+    result.notFound = Object.keys(reasons);
+    result.activeRemaining = updatedCourses.filter(isCourseActive).length;
+
+    if (result.revoked.length > 0 || result.installmentsRevoked.length > 0) {
+      transaction.update(docRef, {
+        courses: updatedCourses,
+        ...summarizeInstallments(updatedCourses),
+        lastSynced: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }
+    return result;
+  });
+}
+
+/**
+ * Revoke course access for canceled or refunded line items. Courses are kept
+ * on the student document with status "revoked", revokedReason and revokedAt.
+ * With REVOKE_DISABLE_AUTH=true, the Auth user is disabled once no active
+ * courses remain.
+ * @param {Object} db - Firestore instance
+ * @param {Array} revokedRecords - Records from splitRevokedRecords
+ * @returns {Promise<Object>} - { coursesRevoked, installmentsRevoked, authUsersDisabled, failed }
+ */
+export async function revokeCourses(db, revokedRecords) {
+  const summary = { coursesRevoked: 0, installmentsRevoked: 0, authUsersDisabled: 0, failed: [] };
+
+  const recordsByEmail = {};
+  revokedRecords.forEach((record) => {
+    const email = record.studentInfo?.email?.toLowerCase().trim();
+    if (!email) return;
+    (recordsByEmail[email] = recordsByEmail[email] || []).push(record);
+  });
+
+  for (const [email, records] of Object.entries(recordsByEmail)) {
+    try {
+      const studentDoc = await findStudentDoc(db, email);
+      if (!studentDoc) {
+        logger.info(`No student found for ${email}, nothing to revoke`);
+        continue;
+      }
+
+      const result = await revokeStudentCourses(db, studentDoc.ref, records);
+      summary.coursesRevoked += result.revoked.length;
+      summary.installmentsRevoked += result.installmentsRevoked.length;
+
+      if (result.revoked.length > 0) {
+        logger.info(
+          `Revoked ${result.revoked.length} courses for ${email}: ${result.revoked.join(", ")}`
+        );
+      }
+      if (result.installmentsRevoked.length > 0) {
+        logger.info(
+          `Revoked ${result.installmentsRevoked.length} payment plan installments for ${email}: ${result.installmentsRevoked.join(", ")}`
+        );
+      }
+
+      if (
+        DISABLE_AUTH_WHEN_NO_COURSES &&
+        result.revoked.length > 0 &&
+        result.activeRemaining === 0 &&
+        result.authUid
+      ) {
+        await admin.auth().updateUser(result.authUid, { disabled: true });
+        await studentDoc.ref.update({ authDisabledByRevocation: true });
+        summary.authUsersDisabled++;
+        logger.info(`Disabled Firebase Auth user for ${email}: no active courses remain`);
+      }
+    } catch (error) {
+      logger.error(`Error revoking courses for ${email}:`, error.message);
+      summary.failed.push({ email, stage: "revoke", error: error.message });
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Re-enable an Auth user that revokeCourses disabled, after the student
+ * enrolled in a new course
+ * @param {Object} docRef - Student document reference
+ * @param {Object} studentData - Student document data
+ */
+export async function restoreAuthAccess(docRef, studentData) {
+  if (!studentData?.authDisabledByRevocation || !studentData.authUid) return;
+
+  await admin.auth().updateUser(studentData.authUid, { disabled: false });
+  await docRef.update({ authDisabledByRevocation: admin.firestore.FieldValue.delete() });
+  logger.info(`Re-enabled Firebase Auth user for ${studentData.studentInfo?.email}: new course added`);
+}
@@ -0,0 +1,151 @@
+import { logger } from "../utils/logger.js";
+import {
+  getNextRunTime,
+  isValidTimezone,
+  parseCronExpression,
+} from "../utils/cron.js";
+
+// setTimeout cannot wait longer than ~24.8 days; longer waits are chained
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+/**
+ * Create an in-process cron scheduler for a single task
+ * @param {Object} options
+ * @param {string} options.expression - Five-field cron expression
+ * @param {string} [options.timezone] - IANA timezone the expression is evaluated in (default: UTC)
+ * @param {Function} options.task - Async function to run on each tick
+ * @param {string} [options.name] - Name used in log lines
+ * @returns {Object} - Scheduler with start, stop, runNow and getStatus methods
+ */
+export function createScheduler({ expression, timezone = "UTC", task, name = "task" }) {
+  const parsed = parseCronExpression(expression);
+
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Invalid timezone "${timezone}"`);
+  }
+  if (typeof task !== "function") {
+    throw new Error("Scheduler task must be a function");
+  }
+  // Valid expressions can still never match (e.g. "0 0 30 2 *"); fail here, not in start()
+  getNextRunTime(parsed, { timezone });
+
+  let timer = null;
+  let running = false;
+  let nextRun = null;
+  let lastRun = null;
+  let skippedRuns = 0;
+
+  /**
+   * Arm the timer for the next run, chaining timeouts for long waits.
+   * If no next run can be found, the scheduler stops instead of throwing.
+   */
+  function scheduleNext() {
+    try {
+      nextRun = getNextRunTime(parsed, { timezone });
+    } catch (error) {
+      nextRun = null;
+      timer = null;
+      logger.error(`Stopped ${name} scheduler: ${error.message}`);
+      return;
+    }
+    logger.info(`Next ${name} run scheduled for ${nextRun.toISOString()}`);
+    armTimer();
+  }
+
+  // Waits longer than MAX_TIMEOUT_MS re-arm themselves until the run is due
+  function armTimer() {
+    const delay = nextRun.getTime() - Date.now();
+
+    if (delay > MAX_TIMEOUT_MS) {
+      timer = setTimeout(armTimer, MAX_TIMEOUT_MS);
+      return;
+    }
+
+    timer = setTimeout(async () => {
+      timer = null;
+      await execute("schedule");
+      if (nextRun) scheduleNext();
+    }, Math.max(delay, 0));
+  }
+
+  /**
+   * Run the task once, refusing to start while a previous run is in progress
+   * @param {string} trigger - What started this run ("schedule" or "manual")
+   * @param {Object} [context] - Extra context passed through to the task
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  async function execute(trigger, context = {}) {
+    if (running) {
+      skippedRuns++;
+      logger.warn(`Skipping ${trigger} ${name} run: previous run still in progress`);
+      return { skipped: true, reason: "already-running" };
+    }
+
+    running = true;
+    const startedAt = new Date();
+    logger.info(`Starting ${trigger} ${name} run`);
+
+    try {
+      const result = await task({
+        ...context,
+        trigger,
+        scheduledFor: trigger === "schedule" ? nextRun : null,
+      });
+      lastRun = {
+        trigger,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        success: true,
+        result,
+      };
+      return { skipped: false, result };
+    } catch (error) {
+      logger.error(`${name} run failed:`, error.message || "Unknown error");
+      lastRun = {
+        trigger,
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        success: false,
+        error: error.message,
+      };
+      return { skipped: false, error };
+    } finally {
+      running = false;
+    }
+  }
+
+  return {
+    start() {
+      if (timer) return;
+      logger.info(`Starting ${name} scheduler with "${parsed.expression}" (${timezone})`);
+      scheduleNext();
+    },
+
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      nextRun = null;
+      logger.info(`Stopped ${name} scheduler`);
+    },
+
+    runNow(context) {
+      return execute("manual", context);
+    },
+
+    isRunning() {
+      return running;
+    },
+
+    getStatus() {
+      return {
+        expression: parsed.expression,
+        timezone,
+        active: nextRun !== null,
+        running,
+        nextRun: nextRun ? nextRun.toISOString() : null,
+        lastRun,
+        skippedRuns,
+      };
+    },
+  };
+}
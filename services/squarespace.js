@@ -1,110 +1,106 @@
-import axios from "axios";
 import dotenv from "dotenv";
 import { logger } from "../utils/logger.js";
+import { getSquarespaceClient } from "./squarespaceClient.js";
 
 dotenv.config();
 
-// Squarespace API configuration
-const SQUARESPACE_API_KEY = process.env.SQUARESPACE_API_KEY;
-const SQUARESPACE_API_URL =
-  process.env.SQUARESPACE_API_URL || "https://api.squarespace.com/1.0";
+/**
+ * Resolve the modifiedAfter/modifiedBefore window for a time config
+ * @param {number|Object} timeConfig - Lookback minutes, { type: 'lookback' } or { type: 'range' }
+ * @returns {Object} - { modifiedAfter, modifiedBefore }
+ */
+export function resolveTimeWindow(timeConfig) {
+  // Backward compatible: a number is lookback minutes
+  const minutes = typeof timeConfig === "number" ? timeConfig : timeConfig?.minutes;
 
-// Function to fetch student orders from Squarespace
-async function fetchAllOrders(modifiedAfter, modifiedBefore) {
-  let allOrders = [];
-  let cursor = null;
+  if (timeConfig?.type === "range") {
+    return {
+      modifiedAfter: new Date(timeConfig.start).toISOString(),
+      modifiedBefore: new Date(timeConfig.end).toISOString(),
+    };
+  }
+  if (typeof timeConfig === "number" || timeConfig?.type === "lookback") {
+    const now = new Date();
+    return {
+      modifiedAfter: new Date(now.getTime() - minutes * 60 * 1000).toISOString(),
+      modifiedBefore: now.toISOString(),
+    };
+  }
+  return { modifiedAfter: undefined, modifiedBefore: undefined };
+}
 
-  do {
-    const response = await axios.get(`${SQUARESPACE_API_URL}/commerce/orders`, {
-      headers: {
-        Authorization: `Bearer ${SQUARESPACE_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      params: {
-        modifiedAfter,
-        modifiedBefore,
-        cursor,
-      },
-    });
+/**
+ * Whether an order contains course enrollments (service line items)
+ * @param {Object} order - Squarespace order
+ * @returns {boolean}
+ */
+function isStudentOrder(order) {
+  return order.lineItems?.some((item) => item.lineItemType === "SERVICE");
+}
 
-    const result = response.data?.result || [];
-    allOrders = [...allOrders, ...result];
-    cursor = response.data?.pagination?.nextPageCursor || null;
-  } while (cursor);
+/**
+ * Stream student orders page by page, so callers can process each page as it
+ * arrives instead of waiting for (and holding) the whole result set
+ * @param {number|Object} timeConfig - See fetchSquarespaceOrders
+ * @yields {Object} - { orders, metrics: { page, items, studentOrders, attempts, durationMs } }
+ */
+export async function* streamSquarespaceOrders(timeConfig = 6) {
+  const { modifiedAfter, modifiedBefore } = resolveTimeWindow(timeConfig);
+  logger.info(`Fetching orders modified between ${modifiedAfter} and ${modifiedBefore}`);
+  const pages = getSquarespaceClient().paginate("/commerce/orders", {
+    modifiedAfter,
+    modifiedBefore,
+  });
 
-  return allOrders;
+  for await (const { items, metrics } of pages) {
+    const orders = items.filter(isStudentOrder);
+    const pageMetrics = { ...metrics, studentOrders: orders.length };
+    logger.info(`Fetched orders page ${metrics.page}: ${JSON.stringify(pageMetrics)}`);
+    yield { orders, metrics: pageMetrics };
+  }
 }
 
 export async function fetchSquarespaceOrders(timeConfig = 6) {
   try {
     logger.info("Fetching orders from Squarespace");
 
-    let modifiedAfter, modifiedBefore;
-    
-    // Handle different time config formats
-    if (typeof timeConfig === 'number') {
-      // Backward compatible: lookback minutes
-      const now = new Date();
-      const lookbackTime = new Date(now.getTime() - timeConfig * 60 * 1000);
-      modifiedAfter = lookbackTime.toISOString();
-      modifiedBefore = now.toISOString();
-      logger.info(`Fetching orders modified between ${modifiedAfter} and ${modifiedBefore} (${timeConfig} minutes)`);
-    } else if (timeConfig.type === 'lookback') {
-      // Lookback minutes from config object
-      const now = new Date();
-      const lookbackTime = new Date(now.getTime() - timeConfig.minutes * 60 * 1000);
-      modifiedAfter = lookbackTime.toISOString();
-      modifiedBefore = now.toISOString();
-      logger.info(`Fetching orders modified between ${modifiedAfter} and ${modifiedBefore} (${timeConfig.minutes} minutes)`);
-    } else if (timeConfig.type === 'range') {
-      // Specific time range
-      modifiedAfter = new Date(timeConfig.start).toISOString();
-      modifiedBefore = new Date(timeConfig.end).toISOString();
-      logger.info(`Fetching orders modified between ${modifiedAfter} and ${modifiedBefore} (custom range)`);
-    }
-
-    const allOrders = await fetchAllOrders(modifiedAfter, modifiedBefore);
+    const studentOrders = [];
+    let totalOrders = 0;
+    let pages = 0;
 
-    const studentOrders = allOrders.filter((order) =>
-      order.lineItems.some((item) => item.lineItemType === "SERVICE")
-    );
+    for await (const { orders, metrics } of streamSquarespaceOrders(timeConfig)) {
+      studentOrders.push(...orders);
+      totalOrders += metrics.items;
+      pages++;
+    }
 
     logger.info(
-      `Found ${studentOrders.length} student orders out of ${allOrders.length} total orders`
+      `Found ${studentOrders.length} student orders out of ${totalOrders} total orders (${pages} pages)`
     );
     return studentOrders;
   } catch (error) {
-    logger.error("Error fetching orders from Squarespace:", error);
-    if (error.response) {
-      logger.error("API response error:", {
-        status: error.response.status,
-        data: error.response.data,
-      });
-    }
+    logger.error("Error fetching orders from Squarespace:", error.message);
     throw new Error(
       `Failed to fetch orders from Squarespace: ${error.message}`
     );
   }
 }
 
-// Function to fetch a specific order by ID (useful for testing or manual lookups)
+// Function to fetch a specific order by ID (used by the webhook receiver and manual lookups)
 export async function fetchOrderById(orderId) {
   try {
     logger.info(`Fetching order details for order ID: ${orderId}`);
 
-    const response = await axios.get(
-      `${SQUARESPACE_API_URL}/commerce/orders/${orderId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${SQUARESPACE_API_KEY}`,
-          "Content-Type": "application/json",
-        },
-      }
+    const { data } = await getSquarespaceClient().get(
+      `/commerce/orders/${encodeURIComponent(orderId)}`
     );
 
-    return response.data;
+    return data;
   } catch (error) {
-    logger.error(`Error fetching order ${orderId}:`, error);
-    throw new Error(`Failed to fetch order ${orderId}: ${error.message}`);
+    logger.error(`Error fetching order ${orderId}:`, error.message);
+    const fetchError = new Error(`Failed to fetch order ${orderId}: ${error.message}`);
+    // Keep the HTTP status so callers can tell an unknown order from an outage
+    fetchError.status = error.status;
+    throw fetchError;
   }
 }
@@ -0,0 +1,152 @@
+import axios from "axios";
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+// Status codes worth retrying: throttling and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ["ECONNABORTED", "ECONNRESET", "ETIMEDOUT", "EAI_AGAIN", "ECONNREFUSED"];
+
+// Never wait longer than this between attempts, even if Retry-After asks for more
+const MAX_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Whether a failed request should be retried
+ * @param {Error} error - axios error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (error.response) return RETRYABLE_STATUSES.includes(error.response.status);
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string} [value] - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before the next attempt: Retry-After when the API sent one,
+ * otherwise exponential backoff with full jitter
+ * @param {Error} error - axios error from the failed attempt
+ * @param {number} attempt - Attempts made so far (1-based)
+ * @param {number} baseDelayMs - Backoff base delay
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, baseDelayMs) {
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+  if (retryAfter !== null) return Math.min(retryAfter, MAX_RETRY_DELAY_MS);
+
+  const ceiling = Math.min(baseDelayMs * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+  return Math.round(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Create a Squarespace API client
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - API key (default: SQUARESPACE_API_KEY)
+ * @param {string} [options.baseUrl] - API base URL (default: SQUARESPACE_API_URL)
+ * @param {number} [options.timeoutMs] - Per-request timeout (default: SQUARESPACE_TIMEOUT_MS or 15000)
+ * @param {number} [options.maxRetries] - Retries per request (default: SQUARESPACE_MAX_RETRIES or 5)
+ * @param {number} [options.baseDelayMs] - Backoff base delay (default: SQUARESPACE_RETRY_BASE_MS or 1000)
+ * @param {Function} [options.wait] - Delay function, replaceable for scripts that must not block
+ * @returns {Object} - { get, paginate }
+ */
+export function createSquarespaceClient({
+  apiKey = process.env.SQUARESPACE_API_KEY,
+  baseUrl = process.env.SQUARESPACE_API_URL || "https://api.squarespace.com/1.0",
+  timeoutMs = parseInt(process.env.SQUARESPACE_TIMEOUT_MS) || 15000,
+  maxRetries = parseInt(process.env.SQUARESPACE_MAX_RETRIES) || 5,
+  baseDelayMs = parseInt(process.env.SQUARESPACE_RETRY_BASE_MS) || 1000,
+  wait = sleep,
+} = {}) {
+  /**
+   * GET an API path, retrying transient failures
+   * @param {string} path - Path relative to the base URL (e.g., "/commerce/orders")
+   * @param {Object} [params] - Query parameters
+   * @returns {Promise<Object>} - { data, attempts, durationMs }
+   */
+  async function get(path, params) {
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await axios.get(`${baseUrl}${path}`, {
+          headers: {
+            Authorization: `Bearer ${apiKey}`,
+            "Content-Type": "application/json",
+          },
+          params,
+          timeout: timeoutMs,
+        });
+        return { data: response.data, attempts: attempt, durationMs: Date.now() - startedAt };
+      } catch (error) {
+        if (attempt > maxRetries || !isRetryable(error)) {
+          const status = error.response?.status;
+          const wrapped = new Error(
+            `Squarespace GET ${path} failed after ${attempt} attempt(s)${status ? ` with status ${status}` : ""}: ${error.message}`
+          );
+          wrapped.status = status;
+          wrapped.attempts = attempt;
+          throw wrapped;
+        }
+
+        const delay = getRetryDelay(error, attempt, baseDelayMs);
+        logger.warn(
+          `Squarespace GET ${path} failed (${error.response?.status || error.code || error.message}), retrying in ${delay}ms (attempt ${attempt}/${maxRetries})`
+        );
+        await wait(delay);
+      }
+    }
+  }
+
+  /**
+   * Iterate over a cursor-paginated list endpoint one page at a time
+   * @param {string} path - List endpoint path
+   * @param {Object} [params] - Query parameters for the first page
+   * @yields {Object} - { items, metrics: { page, items, attempts, durationMs } }
+   */
+  async function* paginate(path, params = {}) {
+    let cursor = null;
+    let page = 0;
+
+    do {
+      page++;
+      // Squarespace rejects filters alongside a cursor; the cursor carries them
+      const { data, attempts, durationMs } = await get(path, cursor ? { cursor } : params);
+      const items = data?.result || [];
+      const metrics = { page, items: items.length, attempts, durationMs };
+
+      logger.debug(`Squarespace ${path} page ${page}: ${JSON.stringify(metrics)}`);
+      yield { items, metrics };
+
+      cursor = data?.pagination?.nextPageCursor || null;
+    } while (cursor);
+  }
+
+  return { get, paginate };
+}
+
+let defaultClient = null;
+
+/**
+ * Shared client configured from the environment
+ * @returns {Object} - Squarespace API client
+ */
+export function getSquarespaceClient() {
+  if (!defaultClient) defaultClient = createSquarespaceClient();
+  return defaultClient;
+}
@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import dotenv from "dotenv";
+import { fetchOrderById } from "./squarespace.js";
+import { getFirestore } from "./firebaseApp.js";
+import { filterUnprocessedOrders } from "./orderLedger.js";
+import { syncOrders } from "./orderSync.js";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+// Topics that carry an order to enroll; other notifications are acknowledged and ignored
+export const ORDER_TOPICS = ["order.create", "order.update"];
+
+// Orders currently being processed, so a redelivered notification is not handled twice at once
+const ordersInFlight = new Set();
+
+// While another sync holds the sync lock, retry a few times before leaving the
+// order to the next polling sync
+const LOCK_RETRY_ATTEMPTS = 5;
+const LOCK_RETRY_DELAY_MS = 30 * 1000;
+
+/**
+ * Verify the Squarespace-Signature header of a webhook notification.
+ * Squarespace signs the raw request body with HMAC-SHA256, using the
+ * subscription secret (hex encoded) as the key.
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signature - Hex signature from the Squarespace-Signature header
+ * @param {string} [secret] - Subscription secret (default: SQUARESPACE_WEBHOOK_SECRET)
+ * @returns {boolean} - Whether the signature is valid
+ */
+export function verifyWebhookSignature(
+  rawBody,
+  signature,
+  secret = process.env.SQUARESPACE_WEBHOOK_SECRET
+) {
+  if (!secret) throw new Error("Missing SQUARESPACE_WEBHOOK_SECRET environment variable");
+  if (!rawBody || !signature) return false;
+
+  const expected = crypto
+    .createHmac("sha256", Buffer.from(secret, "hex"))
+    .update(rawBody)
+    .digest();
+  const received = Buffer.from(signature, "hex");
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Fetch an order and save it to Firestore straight away, unless it was
+ * already processed by an earlier notification or the polling sync. While
+ * another sync holds the sync lock, the order is retried a few times and then
+ * left to the next polling sync ("deferred").
+ * @param {string} orderId - Squarespace order ID
+ * @returns {Promise<Object>} - { orderId, status, saveResult, revokeResult }
+ */
+export async function processWebhookOrder(orderId) {
+  if (ordersInFlight.has(orderId)) {
+    logger.info(`Order ${orderId} is already being processed, ignoring notification`);
+    return { orderId, status: "in-progress" };
+  }
+
+  ordersInFlight.add(orderId);
+  try {
+    const db = getFirestore();
+    const order = await fetchOrderById(orderId);
+
+    for (let attempt = 1; ; attempt++) {
+      // Checked on every attempt, since the sync holding the lock may save the order
+      const { pending } = await filterUnprocessedOrders(db, [order]);
+      if (pending.length === 0) {
+        return { orderId, status: "duplicate" };
+      }
+
+      try {
+        const { status, saveResult, revokeResult } = await syncOrders(db, pending, { source: "webhook" });
+        if (status !== "ignored") {
+          logger.info(`Webhook order ${order.orderNumber || orderId} ${status}`);
+        }
+        return { orderId, status, saveResult, revokeResult };
+      } catch (error) {
+        if (error.code !== "sync-locked") throw error;
+        if (attempt >= LOCK_RETRY_ATTEMPTS) {
+          logger.warn(`Sync lock still held, leaving order ${order.orderNumber || orderId} to the next polling sync`);
+          return { orderId, status: "deferred" };
+        }
+        logger.info(`Sync lock held, retrying order ${order.orderNumber || orderId} in ${LOCK_RETRY_DELAY_MS / 1000}s`);
+        await new Promise((resolve) => setTimeout(resolve, LOCK_RETRY_DELAY_MS));
+      }
+    }
+  } finally {
+    ordersInFlight.delete(orderId);
+  }
+}
+
+/**
+ * Handle a verified webhook notification
+ * @param {Object} notification - Parsed notification body ({ id, topic, data: { orderId } })
+ * @returns {Promise<Object>} - { orderId, status }
+ */
+export async function handleWebhookNotification(notification) {
+  const { id, topic, data } = notification || {};
+
+  if (!ORDER_TOPICS.includes(topic)) {
+    logger.info(`Ignoring Squarespace webhook notification ${id} with topic ${topic}`);
+    return { orderId: null, status: "ignored" };
+  }
+
+  if (!data?.orderId) {
+    throw new Error(`Webhook notification ${id} has no orderId`);
+  }
+
+  logger.info(`Received ${topic} notification ${id} for order ${data.orderId}`);
+  return processWebhookOrder(data.orderId);
+}
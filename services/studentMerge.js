@@ -0,0 +1,121 @@
+import fs from "fs";
+import admin from "firebase-admin";
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Merging updated student details from newer orders into an existing
+ * authorizedUsers document. Each studentInfo field follows a policy from
+ * config/studentMerge.json:
+ * - latest-wins: a non-empty value from a newer order replaces the stored one
+ * - never-overwrite: the stored value is kept; only empty fields are filled
+ * The email identifies the student and is never changed by a merge, and the
+ * password is never stored.
+ */
+
+const CONFIG_FILE = new URL("../config/studentMerge.json", import.meta.url);
+const POLICIES = ["latest-wins", "never-overwrite"];
+const PROTECTED_FIELDS = ["email", "password"];
+
+export const HISTORY_SUBCOLLECTION = "history";
+
+/**
+ * Load and validate the merge policy
+ * @returns {Object} - { default, fields }
+ */
+function loadMergePolicy() {
+  const config = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+  const defaultPolicy = process.env.STUDENT_MERGE_POLICY || config.default || "latest-wins";
+  const fields = config.fields || {};
+
+  for (const [field, policy] of Object.entries({ default: defaultPolicy, ...fields })) {
+    if (!POLICIES.includes(policy)) {
+      throw new Error(
+        `Invalid merge policy "${policy}" for ${field} in studentMerge.json. Expected one of: ${POLICIES.join(", ")}`
+      );
+    }
+  }
+
+  return { default: defaultPolicy, fields };
+}
+
+const mergePolicy = loadMergePolicy();
+
+/**
+ * Whether a studentInfo value counts as empty
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Pick the record from the newest order, which supplies the incoming details
+ * @param {Array} records - Course records for one student
+ * @returns {Object} - Newest record
+ */
+export function getLatestRecord(records) {
+  return records.reduce((latest, record) =>
+    String(record.createdOn || "") > String(latest.createdOn || "") ? record : latest
+  );
+}
+
+/**
+ * Merge incoming student details into the stored studentInfo
+ * @param {Object} existingData - Stored authorizedUsers document data
+ * @param {Object} record - Newest course record for the student
+ * @returns {Object} - { studentInfo, changes: [{ field, oldValue, newValue }], source, isNewer }
+ */
+export function mergeStudentInfo(existingData, record) {
+  const current = existingData.studentInfo || {};
+  const incoming = record.studentInfo || {};
+  const source = {
+    orderNumber: record.orderNumber || null,
+    courseId: record.courseId || null,
+    createdOn: record.createdOn || null,
+  };
+
+  // An order older than the one the details last came from cannot overwrite them
+  const lastSourceDate = existingData.studentInfoSource?.createdOn || "";
+  const isNewer = !lastSourceDate || String(source.createdOn || "") >= lastSourceDate;
+
+  const studentInfo = { ...current };
+  const changes = [];
+
+  for (const [field, newValue] of Object.entries(incoming)) {
+    if (PROTECTED_FIELDS.includes(field) || isEmpty(newValue)) continue;
+
+    const oldValue = current[field];
+    if (oldValue === newValue) continue;
+
+    const policy = mergePolicy.fields[field] || mergePolicy.default;
+    const overwrite = isEmpty(oldValue) || (policy === "latest-wins" && isNewer);
+    if (!overwrite) continue;
+
+    studentInfo[field] = newValue;
+    changes.push({ field, oldValue: isEmpty(oldValue) ? null : oldValue, newValue });
+  }
+
+  return { studentInfo, changes, source, isNewer };
+}
+
+/**
+ * Write the merged studentInfo and its history entry inside a transaction
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} docRef - Student document reference
+ * @param {Object} merge - Result of mergeStudentInfo
+ * @returns {Object} - Fields to include in the student document update
+ */
+export function recordStudentInfoChanges(transaction, docRef, { studentInfo, changes, source, isNewer }) {
+  if (changes.length === 0) return {};
+
+  transaction.set(docRef.collection(HISTORY_SUBCOLLECTION).doc(), {
+    changes,
+    source,
+    changedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  return isNewer ? { studentInfo, studentInfoSource: source } : { studentInfo };
+}
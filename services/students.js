@@ -0,0 +1,143 @@
+import admin from "firebase-admin";
+
+/**
+ * Student document lookups shared by the sync, onboarding and email services
+ * and the admin CLI and API.
+ * authorizedUsers documents are keyed by the student's Firebase Auth UID.
+ * Documents created by older syncs are keyed by email until they are moved
+ * by `tanwir migrate-to-uid`, so lookups try both.
+ */
+
+export const STUDENTS_COLLECTION = "authorizedUsers";
+
+/**
+ * Find the authorizedUsers document for a student email
+ * @param {Object} db - Firestore instance
+ * @param {string} email - Normalized student email
+ * @returns {Promise<Object|null>} - Document snapshot, or null if the student is new
+ */
+export async function findStudentDoc(db, email) {
+  const userQuery = await db
+    .collection(STUDENTS_COLLECTION)
+    .where("studentInfo.email", "==", email)
+    .limit(1)
+    .get();
+  
+  if (!userQuery.empty) return userQuery.docs[0];
+
+  // Older documents may store the email with different casing; the document
+  // ID is then either the email itself or the student's Auth UID
+  const byEmailId = await db.collection(STUDENTS_COLLECTION).doc(email).get();
+  if (byEmailId.exists) return byEmailId;
+
+  let uid;
+  try {
+    uid = (await admin.auth().getUserByEmail(email)).uid;
+  } catch (authError) {
+    if (authError.code === "auth/user-not-found") return null;
+    throw authError;
+  }
+
+  const byUid = await db.collection(STUDENTS_COLLECTION).doc(uid).get();
+  return byUid.exists ? byUid : null;
+}
+
+/**
+ * Find a student document by email or document ID
+ * @param {Object} db - Firestore instance
+ * @param {string} idOrEmail - Student email, or authorizedUsers document ID
+ * @returns {Promise<Object|null>} - Document snapshot, or null if not found
+ */
+export async function getStudentDoc(db, idOrEmail) {
+  const value = (idOrEmail || "").trim();
+  if (!value) return null;
+
+  if (value.includes("@")) return findStudentDoc(db, value.toLowerCase());
+
+  const byId = await db.collection(STUDENTS_COLLECTION).doc(value).get();
+  return byId.exists ? byId : null;
+}
+
+/**
+ * Set the display name of a Firebase Auth user, and the name on their
+ * student document if they have one
+ * @param {Object} db - Firestore instance
+ * @param {string} email - User email
+ * @param {string} displayName - New display name
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report the change without writing
+ * @returns {Promise<Object|null>} - { dryRun, uid, email, previousDisplayName, displayName, studentDocId }, or null if no Auth user has the email
+ */
+export async function setDisplayName(db, email, displayName, { dryRun = false } = {}) {
+  const normalizedEmail = email.toLowerCase().trim();
+
+  let userRecord;
+  try {
+    userRecord = await admin.auth().getUserByEmail(normalizedEmail);
+  } catch (authError) {
+    if (authError.code === "auth/user-not-found") return null;
+    throw authError;
+  }
+
+  const studentDoc = await findStudentDoc(db, normalizedEmail);
+  const result = {
+    dryRun,
+    uid: userRecord.uid,
+    email: normalizedEmail,
+    previousDisplayName: userRecord.displayName || null,
+    displayName,
+    studentDocId: studentDoc?.id || null,
+  };
+  if (dryRun) return result;
+
+  await admin.auth().updateUser(userRecord.uid, { displayName });
+
+  if (studentDoc) {
+    const [firstName = "", ...lastName] = displayName.split(" ");
+    await studentDoc.ref.update({
+      "studentInfo.firstName": firstName,
+      "studentInfo.lastName": lastName.join(" "),
+      lastSynced: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Search students by email or name prefix. Firestore only matches prefixes
+ * exactly, so names are tried as typed and capitalized.
+ * @param {Object} db - Firestore instance
+ * @param {string} query - Start of an email, first name or last name
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of students to return
+ * @returns {Promise<Array>} - Document snapshots, without duplicates
+ */
+export async function searchStudents(db, query, { limit = 20 } = {}) {
+  const term = (query || "").trim();
+  if (!term) return [];
+
+  const capitalized = term.charAt(0).toUpperCase() + term.slice(1).toLowerCase();
+  const searches = [["studentInfo.email", term.toLowerCase()]];
+  for (const field of ["studentInfo.firstName", "studentInfo.lastName"]) {
+    searches.push([field, term]);
+    if (capitalized !== term) searches.push([field, capitalized]);
+  }
+
+  const snapshots = await Promise.all(
+    searches.map(([field, prefix]) =>
+      db
+        .collection(STUDENTS_COLLECTION)
+        .where(field, ">=", prefix)
+        .where(field, "<=", `${prefix}\uf8ff`)
+        .limit(limit)
+        .get()
+    )
+  );
+
+  const students = new Map();
+  snapshots.forEach((snapshot) => {
+    snapshot.docs.forEach((doc) => students.set(doc.id, doc));
+  });
+  return [...students.values()].slice(0, limit);
+}
@@ -0,0 +1,173 @@
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+import { getSyncRun, queueSyncRun, setQueuedSyncRunStatus } from "./syncRuns.js";
+
+dotenv.config();
+
+/**
+ * Sync jobs requested through the API.
+ * Requests are queued and answered straight away with the ID of their sync
+ * run (see syncRuns.js), which callers poll for progress. Jobs run one at a
+ * time in this instance; while another instance holds the sync lock, the job
+ * waits and retries until SYNC_JOB_MAX_WAIT_MINUTES have passed.
+ * Queued jobs are kept in memory, so they are lost if the instance restarts.
+ */
+
+const RETRY_SECONDS = parseInt(process.env.SYNC_JOB_RETRY_SECONDS) || 30;
+const MAX_WAIT_MINUTES = parseInt(process.env.SYNC_JOB_MAX_WAIT_MINUTES) || 30;
+const DEFAULT_LOOKBACK_MINUTES = 6;
+
+/**
+ * Build a sync time config from lookback or range options, as accepted by
+ * the CLI and POST /trigger-sync
+ * @param {Object} [options]
+ * @param {number|string} [options.minutes] - Look back this many minutes
+ * @param {boolean} [options.checkpoint] - Resume from the sync checkpoint
+ * @param {string} [options.start] - Start of a time range (ISO)
+ * @param {string} [options.end] - End of a time range (ISO)
+ * @returns {Object} - Time config for runScheduledTask (default: 6 minutes lookback)
+ * @throws {Error} - When the options are invalid or conflict
+ */
+export function buildTimeConfig({ minutes, checkpoint = false, start, end } = {}) {
+  const hasMinutes = minutes !== undefined && minutes !== null && minutes !== "";
+  const hasRange = Boolean(start || end);
+  if ([hasMinutes, checkpoint, hasRange].filter(Boolean).length > 1) {
+    throw new Error("Use only one of a lookback, the checkpoint or a start/end range");
+  }
+
+  if (checkpoint) return { type: "checkpoint" };
+
+  if (hasRange) {
+    if (!start || !end) throw new Error("start and end must be used together");
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (isNaN(startDate) || isNaN(endDate)) throw new Error("start and end must be ISO dates");
+    if (startDate >= endDate) throw new Error("start must be before end");
+    return { type: "range", start: startDate.toISOString(), end: endDate.toISOString() };
+  }
+
+  if (hasMinutes) {
+    const lookback = Number(minutes);
+    if (!Number.isInteger(lookback) || lookback <= 0) {
+      throw new Error(`Invalid lookback "${minutes}"`);
+    }
+    return { type: "lookback", minutes: lookback };
+  }
+
+  return { type: "lookback", minutes: DEFAULT_LOOKBACK_MINUTES };
+}
+
+/**
+ * Whether a queued run is still waiting to be started by the sync
+ * @param {Object} db - Firestore instance
+ * @param {string} runId - Sync run ID
+ * @returns {Promise<boolean>}
+ */
+async function isNotStarted(db, runId) {
+  try {
+    const run = await getSyncRun(db, runId);
+    return ["queued", "waiting"].includes(run?.status);
+  } catch (error) {
+    logger.error(`Failed to read sync run ${runId}:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Create the queue that runs sync jobs one at a time
+ * @param {Object} options
+ * @param {Function} options.runSync - (job) => Promise, runs the sync for { runId, timeConfig, dryRun, trigger };
+ *   rejects with code "sync-locked" when another sync holds the lock
+ * @param {number} [options.retrySeconds] - Wait between attempts to take the sync lock
+ * @param {number} [options.maxWaitMinutes] - Give up on a job that could not start for this long
+ * @returns {Object} - Queue with enqueue and getPending methods
+ */
+export function createSyncJobQueue({
+  runSync,
+  retrySeconds = RETRY_SECONDS,
+  maxWaitMinutes = MAX_WAIT_MINUTES,
+}) {
+  const jobs = [];
+  let processing = false;
+
+  /**
+   * Run queued jobs in order until the queue is empty
+   * @param {Object} db - Firestore instance
+   */
+  async function processQueue(db) {
+    if (processing) return;
+    processing = true;
+
+    try {
+      while (jobs.length > 0) {
+        const job = jobs[0];
+        job.started = true;
+        try {
+          await runSync(job);
+        } catch (error) {
+          if (error.code === "sync-locked") {
+            const waitedMinutes = (Date.now() - job.queuedAt) / 60000;
+            if (waitedMinutes < maxWaitMinutes) {
+              job.started = false;
+              await setQueuedSyncRunStatus(db, job.runId, "waiting", error.message);
+              await new Promise((resolve) => setTimeout(resolve, retrySeconds * 1000));
+              continue;
+            }
+            await setQueuedSyncRunStatus(
+              db,
+              job.runId,
+              "failed",
+              `Gave up after waiting ${maxWaitMinutes} minutes for the sync lock: ${error.message}`
+            );
+          } else if (await isNotStarted(db, job.runId)) {
+            // Failed before the sync started its run (e.g. the lock or the time
+            // config); later failures are recorded on the run by the sync itself
+            await setQueuedSyncRunStatus(db, job.runId, "failed", error.message);
+          }
+          logger.error(`Sync job ${job.runId} failed:`, error.message);
+        }
+        jobs.shift();
+      }
+    } finally {
+      processing = false;
+    }
+  }
+
+  return {
+    /**
+     * Queue a sync. An identical request that has not started yet is not
+     * queued twice; its run ID is returned instead.
+     * @param {Object} db - Firestore instance
+     * @param {Object} request - { timeConfig, dryRun, trigger, requestedBy }
+     * @returns {Promise<Object>} - { runId, duplicate }
+     */
+    async enqueue(db, { timeConfig, dryRun = false, trigger, requestedBy = null }) {
+      const key = JSON.stringify({ timeConfig, dryRun });
+      const pending = jobs.find((job) => !job.started && job.key === key);
+      if (pending) return { runId: pending.runId, duplicate: true };
+
+      const runId = await queueSyncRun(db, { trigger, dryRun, timeConfig, requestedBy });
+      jobs.push({ runId, key, timeConfig, dryRun, trigger, queuedAt: Date.now(), started: false });
+      logger.info(`Queued sync job ${runId} (${jobs.length} in queue)`);
+
+      processQueue(db).catch((error) => {
+        logger.error("Sync job queue stopped:", error.message);
+      });
+      return { runId, duplicate: false };
+    },
+
+    /**
+     * Jobs queued in this instance, including the one running
+     * @returns {Array} - [{ runId, timeConfig, dryRun, trigger, started }]
+     */
+    getPending() {
+      return jobs.map(({ runId, timeConfig, dryRun, trigger, started }) => ({
+        runId,
+        timeConfig,
+        dryRun,
+        trigger,
+        started,
+      }));
+    },
+  };
+}
@@ -0,0 +1,103 @@
+import crypto from "crypto";
+import os from "os";
+import dotenv from "dotenv";
+import { logger } from "../utils/logger.js";
+
+dotenv.config();
+
+/**
+ * Lock that keeps syncs from running at the same time across instances.
+ * The lock is a lease document in the locks collection holding its holder and
+ * an expiry. The holder renews the lease while it runs; if its process dies,
+ * the lease expires and the next sync can take it.
+ */
+
+export const LOCKS_COLLECTION = "locks";
+
+const SYNC_LOCK_ID = "sync";
+const LEASE_SECONDS = parseInt(process.env.SYNC_LOCK_LEASE_SECONDS) || 300;
+
+/**
+ * Create the error thrown when another sync holds the lock
+ * @param {Object} lease - Lease document data
+ * @returns {Error} - Error with code "sync-locked"
+ */
+function lockedError(lease) {
+  const error = new Error(
+    `Another sync is already running (${lease.holder}, lease expires ${lease.expiresAt})`
+  );
+  error.code = "sync-locked";
+  return error;
+}
+
+/**
+ * Take the sync lock, renewing it in the background until it is released
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options]
+ * @param {string} [options.description] - What the holder is doing, shown to others waiting
+ * @param {number} [options.leaseSeconds] - How long the lock lasts without renewal
+ * @returns {Promise<Object>} - Lock with { holder, release() }
+ * @throws {Error} - With code "sync-locked" when another holder has an unexpired lease
+ */
+export async function acquireSyncLock(db, { description = "", leaseSeconds = LEASE_SECONDS } = {}) {
+  const lockRef = db.collection(LOCKS_COLLECTION).doc(SYNC_LOCK_ID);
+  const holder = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+  const leaseUntil = () => new Date(Date.now() + leaseSeconds * 1000).toISOString();
+
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(lockRef);
+    const lease = snapshot.data();
+    if (lease && lease.expiresAt > new Date().toISOString()) throw lockedError(lease);
+
+    transaction.set(lockRef, {
+      holder,
+      description,
+      acquiredAt: new Date().toISOString(),
+      expiresAt: leaseUntil(),
+    });
+  });
+
+  // Renew well before expiry; a failed renewal is retried at the next tick
+  const renewal = setInterval(async () => {
+    try {
+      await db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(lockRef);
+        if (snapshot.data()?.holder !== holder) throw new Error("lease was taken over");
+        transaction.update(lockRef, { expiresAt: leaseUntil() });
+      });
+    } catch (error) {
+      logger.error(`Failed to renew sync lock ${holder}:`, error.message);
+    }
+  }, (leaseSeconds * 1000) / 3);
+  renewal.unref();
+
+  logger.info(`Acquired sync lock ${holder}`);
+
+  return {
+    holder,
+    async release() {
+      clearInterval(renewal);
+      try {
+        await db.runTransaction(async (transaction) => {
+          const snapshot = await transaction.get(lockRef);
+          if (snapshot.data()?.holder === holder) transaction.delete(lockRef);
+        });
+        logger.info(`Released sync lock ${holder}`);
+      } catch (error) {
+        // The lease expires by itself
+        logger.error(`Failed to release sync lock ${holder}:`, error.message);
+      }
+    },
+  };
+}
+
+/**
+ * Read the current sync lock
+ * @param {Object} db - Firestore instance
+ * @returns {Promise<Object|null>} - { holder, description, acquiredAt, expiresAt }, or null when free
+ */
+export async function getSyncLock(db) {
+  const snapshot = await db.collection(LOCKS_COLLECTION).doc(SYNC_LOCK_ID).get();
+  const lease = snapshot.data();
+  return lease && lease.expiresAt > new Date().toISOString() ? lease : null;
+}
@@ -0,0 +1,272 @@
+import { logger } from "../utils/logger.js";
+
+/**
+ * Sync run history.
+ * Every run of the sync is recorded in the syncRuns collection: what started
+ * it, the order window it covered, what it did and what went wrong. Runs
+ * requested through the API are recorded as "queued" (or "waiting" for the
+ * sync lock) before they start, and their document ID is the job ID. Other
+ * runs that find the lock taken are recorded as "skipped". A run
+ * stays "running" until it finishes, with its current step and counters
+ * updated as it goes; a run left "running" after its process died never finished.
+ * Recording never fails the sync itself: errors are logged and the run goes on.
+ */
+
+export const SYNC_RUNS_COLLECTION = "syncRuns";
+
+// Counters every run starts with
+const EMPTY_STATS = {
+  ordersFetched: 0,
+  ordersSkipped: 0,
+  recordsMapped: 0,
+  recordsRejected: 0,
+  deadLettered: 0,
+  studentsCreated: 0,
+  studentsUpdated: 0,
+  studentsFailed: 0,
+  coursesAdded: 0,
+  installmentsRecorded: 0,
+  coursesRevoked: 0,
+  emailsQueued: 0,
+  emailsSent: 0,
+  emailsFailed: 0,
+};
+
+/**
+ * Describe the time config a run was started with
+ * @param {number|Object} timeConfig - Lookback minutes, { type: 'lookback' }, { type: 'range' } or { type: 'checkpoint' }
+ * @returns {Object} - { type, minutes } for lookbacks, otherwise { type }
+ */
+function describeTimeConfig(timeConfig) {
+  if (typeof timeConfig === "number") return { type: "lookback", minutes: timeConfig };
+  if (timeConfig?.type === "lookback") return { type: "lookback", minutes: timeConfig.minutes };
+  return { type: timeConfig?.type || "unknown" };
+}
+
+/**
+ * Fields of a run that has not started yet
+ * @param {Object} options - { trigger, dryRun, timeConfig, requestedBy }
+ * @returns {Object}
+ */
+function newRunFields({ trigger, dryRun, timeConfig, requestedBy = null }) {
+  return {
+    // Every run has createdAt, unlike startedAt, so history is ordered by it
+    createdAt: new Date().toISOString(),
+    trigger,
+    dryRun,
+    requestedBy,
+    mode: describeTimeConfig(timeConfig),
+    window: null,
+    step: null,
+    stats: { ...EMPTY_STATS },
+    errors: [],
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+  };
+}
+
+/**
+ * Record a run requested through the API before it starts
+ * @param {Object} db - Firestore instance
+ * @param {Object} options
+ * @param {string} options.trigger - What requested the run
+ * @param {boolean} options.dryRun - Whether the run writes
+ * @param {number|Object} options.timeConfig - Time config to run with
+ * @param {string} [options.requestedBy] - Authenticated client that requested the run
+ * @returns {Promise<string>} - Run ID
+ */
+export async function queueSyncRun(db, options) {
+  const ref = db.collection(SYNC_RUNS_COLLECTION).doc();
+  await ref.set({
+    ...newRunFields(options),
+    status: "queued",
+    queuedAt: new Date().toISOString(),
+  });
+  return ref.id;
+}
+
+/**
+ * Change the status of a run that has not started, e.g. while it waits for the sync lock
+ * @param {Object} db - Firestore instance
+ * @param {string} runId - Run ID
+ * @param {string} status - "waiting" or "failed"
+ * @param {string} [message] - Why, recorded as the run's error for "failed"
+ */
+export async function setQueuedSyncRunStatus(db, runId, status, message) {
+  try {
+    await db
+      .collection(SYNC_RUNS_COLLECTION)
+      .doc(runId)
+      .update({
+        status,
+        statusMessage: message || null,
+        ...(status === "failed"
+          ? { errors: [{ stage: "queue", message }], finishedAt: new Date().toISOString() }
+          : {}),
+      });
+  } catch (error) {
+    logger.error(`Failed to record status of sync run ${runId}:`, error.message);
+  }
+}
+
+/**
+ * Record a run that never started because another sync held the lock
+ * @param {Object} db - Firestore instance
+ * @param {Object} options
+ * @param {string} options.trigger - What started the run
+ * @param {boolean} options.dryRun - Whether the run writes
+ * @param {number|Object} options.timeConfig - Time config the run was started with
+ * @param {string} options.reason - Why it was skipped
+ * @returns {Promise<string|null>} - Run ID, or null if it could not be recorded
+ */
+export async function recordSkippedSyncRun(db, { reason, ...options }) {
+  try {
+    const ref = db.collection(SYNC_RUNS_COLLECTION).doc();
+    await ref.set({
+      ...newRunFields(options),
+      status: "skipped",
+      statusMessage: reason,
+      finishedAt: new Date().toISOString(),
+    });
+    return ref.id;
+  } catch (error) {
+    logger.error("Failed to record skipped sync run:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Record the start of a sync run
+ * @param {Object} db - Firestore instance
+ * @param {Object} options
+ * @param {string} options.trigger - What started the run ("schedule", "api", "cli" or "manual")
+ * @param {boolean} options.dryRun - Whether the run writes
+ * @param {number|Object} options.timeConfig - Time config the run was started with
+ * @param {string} [options.runId] - ID of the queued run being started
+ * @returns {Promise<Object>} - Run handle for the other syncRun functions: { id, ref, startedAt, stats, errors }
+ */
+export async function startSyncRun(db, { runId, ...options }) {
+  const run = {
+    id: null,
+    ref: null,
+    startedAt: new Date(),
+    stats: { ...EMPTY_STATS },
+    errors: [],
+  };
+
+  try {
+    const collection = db.collection(SYNC_RUNS_COLLECTION);
+    run.ref = runId ? collection.doc(runId) : collection.doc();
+    run.id = run.ref.id;
+    const started = {
+      status: "running",
+      statusMessage: null,
+      startedAt: run.startedAt.toISOString(),
+    };
+    await (runId
+      ? run.ref.update(started)
+      : run.ref.set({ ...newRunFields(options), ...started }));
+  } catch (error) {
+    logger.error("Failed to record sync run start:", error.message);
+    run.ref = null;
+  }
+  return run;
+}
+
+/**
+ * Record the step a run has reached, with its counters so far
+ * @param {Object} run - Run handle from startSyncRun
+ * @param {string} step - e.g. "fetching", "saving", "sending-emails"
+ */
+export async function setSyncRunStep(run, step) {
+  if (!run.ref) return;
+
+  try {
+    await run.ref.update({ step, stats: run.stats });
+  } catch (error) {
+    logger.error(`Failed to record step of sync run ${run.id}:`, error.message);
+  }
+}
+
+/**
+ * Record an error in a run without stopping it
+ * @param {Object} run - Run handle from startSyncRun
+ * @param {string} stage - Step that failed (e.g. "create", "revoke", "email-outbox")
+ * @param {string} message - Error message
+ * @param {string} [email] - Student the error is about
+ */
+export function addSyncRunError(run, stage, message, email) {
+  run.errors.push({ stage, message, ...(email ? { email } : {}) });
+}
+
+/**
+ * Record the order window a run covers, once it is known
+ * @param {Object} run - Run handle from startSyncRun
+ * @param {Object} window - { modifiedAfter, modifiedBefore }
+ */
+export async function setSyncRunWindow(run, window) {
+  if (!run.ref) return;
+
+  try {
+    await run.ref.update({ window });
+  } catch (error) {
+    logger.error(`Failed to record window of sync run ${run.id}:`, error.message);
+  }
+}
+
+/**
+ * Record the end of a sync run with its counters and errors
+ * @param {Object} run - Run handle from startSyncRun
+ * @param {string} status - "succeeded", "partial" (some students or steps failed) or "failed"
+ * @param {Object} [details] - Extra fields to store, e.g. the report of a dry run
+ */
+export async function finishSyncRun(run, status, details = {}) {
+  const finishedAt = new Date();
+  const durationMs = finishedAt.getTime() - run.startedAt.getTime();
+  logger.info(
+    `Sync run ${run.id || "(not recorded)"} ${status} in ${durationMs}ms: ${JSON.stringify(run.stats)}`
+  );
+  if (!run.ref) return;
+
+  try {
+    await run.ref.update({
+      ...details,
+      status,
+      step: null,
+      stats: run.stats,
+      errors: run.errors,
+      finishedAt: finishedAt.toISOString(),
+      durationMs,
+    });
+  } catch (error) {
+    logger.error(`Failed to record end of sync run ${run.id}:`, error.message);
+  }
+}
+
+/**
+ * List recent sync runs, newest first, including runs still queued or waiting
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of runs
+ * @returns {Promise<Array>} - [{ id, ...run }]
+ */
+export async function listSyncRuns(db, { limit = 20 } = {}) {
+  const snapshot = await db
+    .collection(SYNC_RUNS_COLLECTION)
+    .orderBy("createdAt", "desc")
+    .limit(limit)
+    .get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+}
+
+/**
+ * Get one sync run
+ * @param {Object} db - Firestore instance
+ * @param {string} id - Run ID
+ * @returns {Promise<Object|null>} - { id, ...run }, or null if not found
+ */
+export async function getSyncRun(db, id) {
+  const snapshot = await db.collection(SYNC_RUNS_COLLECTION).doc(id).get();
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+}
@@ -0,0 +1,126 @@
+import admin from "firebase-admin";
+import dotenv from "dotenv";
+import fs from "fs/promises";
+import { logger } from "../utils/logger.js";
+import { initializeFirebase } from "./firebaseApp.js";
+
+dotenv.config();
+
+// Checkpoint storage configuration
+const CHECKPOINT_STORE = process.env.SYNC_CHECKPOINT_STORE || "firestore";
+const STATE_FILE = process.env.SYNC_STATE_FILE || ".sync-state.json";
+const STATE_COLLECTION = "syncState";
+const CHECKPOINT_KEY = "squarespaceOrders";
+
+// Checkpoint window defaults (minutes)
+const DEFAULT_OVERLAP_MINUTES =
+  parseInt(process.env.SYNC_CHECKPOINT_OVERLAP_MINUTES) || 10;
+const DEFAULT_MAX_CATCHUP_MINUTES =
+  parseInt(process.env.SYNC_MAX_CATCHUP_MINUTES) || 7 * 24 * 60;
+const DEFAULT_INITIAL_LOOKBACK_MINUTES =
+  parseInt(process.env.SYNC_INITIAL_LOOKBACK_MINUTES) || 24 * 60;
+
+/**
+ * Read the whole local state file
+ * @returns {Promise<Object>} - Parsed state, or an empty object when the file does not exist
+ */
+async function readStateFile() {
+  try {
+    return JSON.parse(await fs.readFile(STATE_FILE, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+}
+
+/**
+ * Load the last successful sync checkpoint
+ * @returns {Promise<Object|null>} - { modifiedBefore, updatedAt } or null if no sync has completed yet
+ */
+export async function getCheckpoint() {
+  if (CHECKPOINT_STORE === "file") {
+    const state = await readStateFile();
+    return state[CHECKPOINT_KEY] || null;
+  }
+
+  initializeFirebase();
+  const snapshot = await admin
+    .firestore()
+    .collection(STATE_COLLECTION)
+    .doc(CHECKPOINT_KEY)
+    .get();
+
+  return snapshot.exists ? snapshot.data() : null;
+}
+
+/**
+ * Persist the high-water mark of a successful sync
+ * @param {string} modifiedBefore - ISO timestamp up to which orders have been imported
+ */
+export async function saveCheckpoint(modifiedBefore) {
+  const checkpoint = {
+    modifiedBefore,
+    updatedAt: new Date().toISOString(),
+  };
+
+  if (CHECKPOINT_STORE === "file") {
+    const state = await readStateFile();
+    state[CHECKPOINT_KEY] = checkpoint;
+    await fs.writeFile(STATE_FILE, JSON.stringify(state, null, 2));
+  } else {
+    initializeFirebase();
+    await admin
+      .firestore()
+      .collection(STATE_COLLECTION)
+      .doc(CHECKPOINT_KEY)
+      .set(checkpoint);
+  }
+
+  logger.info(`Saved sync checkpoint at ${modifiedBefore}`);
+}
+
+/**
+ * Resolve a checkpoint time config into a concrete time range.
+ * Resumes from the stored checkpoint minus an overlap, but never looks back
+ * further than the maximum catch-up window.
+ * @param {Object} timeConfig - { type: 'checkpoint', overlapMinutes?, maxCatchUpMinutes?, initialLookbackMinutes? }
+ * @returns {Promise<Object>} - { type: 'range', start, end } time config
+ */
+export async function resolveCheckpointRange(timeConfig = {}) {
+  const overlapMinutes = timeConfig.overlapMinutes ?? DEFAULT_OVERLAP_MINUTES;
+  const maxCatchUpMinutes = timeConfig.maxCatchUpMinutes ?? DEFAULT_MAX_CATCHUP_MINUTES;
+  const initialLookbackMinutes =
+    timeConfig.initialLookbackMinutes ?? DEFAULT_INITIAL_LOOKBACK_MINUTES;
+
+  const now = new Date();
+  const earliest = new Date(now.getTime() - maxCatchUpMinutes * 60 * 1000);
+  const checkpoint = await getCheckpoint();
+
+  let start;
+  if (checkpoint?.modifiedBefore) {
+    start = new Date(
+      new Date(checkpoint.modifiedBefore).getTime() - overlapMinutes * 60 * 1000
+    );
+    logger.info(
+      `Resuming from checkpoint ${checkpoint.modifiedBefore} with ${overlapMinutes} minutes overlap`
+    );
+  } else {
+    start = new Date(now.getTime() - initialLookbackMinutes * 60 * 1000);
+    logger.info(
+      `No sync checkpoint found, looking back ${initialLookbackMinutes} minutes`
+    );
+  }
+
+  if (start < earliest) {
+    logger.warn(
+      `Checkpoint is older than the maximum catch-up window of ${maxCatchUpMinutes} minutes, starting from ${earliest.toISOString()}`
+    );
+    start = earliest;
+  }
+
+  return {
+    type: "range",
+    start: start.toISOString(),
+    end: now.toISOString(),
+  };
+}
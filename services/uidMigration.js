@@ -0,0 +1,195 @@
+import admin from "firebase-admin";
+import { logger } from "../utils/logger.js";
+import { STUDENTS_COLLECTION } from "./students.js";
+import { OUTBOX_COLLECTION } from "./emailOutbox.js";
+import { HISTORY_SUBCOLLECTION } from "./studentMerge.js";
+import { RETRY_COLLECTION } from "./onboarding.js";
+import { summarizeInstallments } from "./installments.js";
+
+/**
+ * Moving authorizedUsers documents to a new ID, used to re-key documents
+ * created by older syncs from the student's email to their Firebase Auth UID.
+ * When a document already exists at the new ID, the two are merged: courses
+ * are combined (deduplicated by courseId) and the target's studentInfo is kept,
+ * with empty fields filled from the moved document.
+ */
+
+const BATCH_WRITE_LIMIT = 400;
+
+/**
+ * Whether a studentInfo value counts as empty
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Merge a moved student document into the one already at the target ID
+ * @param {Object} source - Data of the document being moved
+ * @param {Object} target - Data of the document at the target ID
+ * @returns {Object} - { data, coursesAdded }
+ */
+function mergeStudentDocs(source, target) {
+  const targetCourses = target.courses || [];
+  const knownIds = new Set(targetCourses.map((course) => course.courseId));
+  const coursesAdded = (source.courses || []).filter((course) => !knownIds.has(course.courseId));
+  const courses = [...targetCourses, ...coursesAdded];
+
+  const studentInfo = { ...(target.studentInfo || {}) };
+  for (const [field, value] of Object.entries(source.studentInfo || {})) {
+    if (isEmpty(studentInfo[field]) && !isEmpty(value)) studentInfo[field] = value;
+  }
+
+  return {
+    data: {
+      ...source,
+      ...target,
+      studentInfo,
+      courses,
+      ...summarizeInstallments(courses),
+    },
+    coursesAdded: coursesAdded.length,
+  };
+}
+
+/**
+ * Copy or delete documents in batches under the write limit
+ * @param {Object} db - Firestore instance
+ * @param {Array} docs - Document snapshots
+ * @param {Function} write - (batch, doc) => void
+ */
+async function writeInBatches(db, docs, write) {
+  for (let i = 0; i < docs.length; i += BATCH_WRITE_LIMIT) {
+    const batch = db.batch();
+    docs.slice(i, i + BATCH_WRITE_LIMIT).forEach((doc) => write(batch, doc));
+    await batch.commit();
+  }
+}
+
+/**
+ * Move a student document to a new ID, merging it into an existing document
+ * at that ID. The history subcollection moves with it, and email outbox and
+ * onboarding retry entries are pointed at the new document.
+ * @param {Object} db - Firestore instance
+ * @param {string} fromId - Current document ID
+ * @param {string} toId - New document ID
+ * @param {Object} [options]
+ * @param {string} [options.authUid] - Auth UID to store on the document
+ * @param {boolean} [options.dryRun] - Report the move without writing
+ * @returns {Promise<Object>} - { fromId, toId, action, coursesAdded, historyEntries, referencesUpdated }
+ */
+export async function moveStudentDoc(db, fromId, toId, { authUid = null, dryRun = false } = {}) {
+  if (!fromId || !toId) throw new Error("Both the current and the new document ID are required");
+  if (fromId === toId) throw new Error(`Document ${fromId} already has that ID`);
+
+  const collection = db.collection(STUDENTS_COLLECTION);
+  const fromRef = collection.doc(fromId);
+  const toRef = collection.doc(toId);
+
+  const [fromSnapshot, toSnapshot, history, outboxEntries, retryEntries] = await Promise.all([
+    fromRef.get(),
+    toRef.get(),
+    fromRef.collection(HISTORY_SUBCOLLECTION).get(),
+    db.collection(OUTBOX_COLLECTION).where("studentDocPath", "==", fromRef.path).get(),
+    db.collection(RETRY_COLLECTION).where("docPath", "==", fromRef.path).get(),
+  ]);
+  if (!fromSnapshot.exists) throw new Error(`Document ${fromId} not found`);
+
+  const report = {
+    fromId,
+    toId,
+    action: toSnapshot.exists ? "merge" : "move",
+    coursesAdded: toSnapshot.exists
+      ? mergeStudentDocs(fromSnapshot.data(), toSnapshot.data()).coursesAdded
+      : (fromSnapshot.data().courses || []).length,
+    historyEntries: history.size,
+    referencesUpdated: outboxEntries.size + retryEntries.size,
+  };
+  if (dryRun) return report;
+
+  // History is copied first, so an interrupted move can simply be run again
+  await writeInBatches(db, history.docs, (batch, entry) => {
+    batch.set(toRef.collection(HISTORY_SUBCOLLECTION).doc(entry.id), entry.data());
+  });
+
+  // Re-read both documents so changes from a concurrent sync are kept
+  report.coursesAdded = await db.runTransaction(async (transaction) => {
+    const [source, target] = await Promise.all([
+      transaction.get(fromRef),
+      transaction.get(toRef),
+    ]);
+    if (!source.exists) throw new Error(`Document ${fromId} not found`);
+
+    const { data, coursesAdded } = target.exists
+      ? mergeStudentDocs(source.data(), target.data())
+      : { data: source.data(), coursesAdded: (source.data().courses || []).length };
+
+    transaction.set(toRef, {
+      ...data,
+      ...(authUid ? { authUid } : {}),
+      lastSynced: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.delete(fromRef);
+    return coursesAdded;
+  });
+
+  await writeInBatches(db, history.docs, (batch, entry) => batch.delete(entry.ref));
+  await writeInBatches(db, outboxEntries.docs, (batch, entry) => {
+    batch.update(entry.ref, { studentDocPath: toRef.path });
+  });
+  await writeInBatches(db, retryEntries.docs, (batch, entry) => {
+    batch.update(entry.ref, { docPath: toRef.path });
+  });
+
+  logger.info(
+    `${report.action === "merge" ? "Merged" : "Moved"} student document ${fromId} into ${toId}`
+  );
+  return report;
+}
+
+/**
+ * Move every email-keyed student document to its Firebase Auth UID
+ * @param {Object} db - Firestore instance
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Report the moves without writing
+ * @returns {Promise<Object>} - { dryRun, moved, merged, skipped, failed }
+ */
+export async function migrateEmailDocsToUid(db, { dryRun = false } = {}) {
+  const summary = { dryRun, moved: [], merged: [], skipped: [], failed: [] };
+  const snapshot = await db.collection(STUDENTS_COLLECTION).get();
+
+  // Auth UIDs never contain "@", so these documents are still keyed by email
+  const emailKeyed = snapshot.docs.filter((doc) => doc.id.includes("@"));
+  logger.info(`Found ${emailKeyed.length} email-keyed student documents`);
+
+  for (const studentDoc of emailKeyed) {
+    const email = (studentDoc.data().studentInfo?.email || studentDoc.id).toLowerCase().trim();
+
+    try {
+      let uid = studentDoc.data().authUid;
+      if (!uid) {
+        try {
+          uid = (await admin.auth().getUserByEmail(email)).uid;
+        } catch (authError) {
+          if (authError.code !== "auth/user-not-found") throw authError;
+          logger.warn(`No Firebase Auth user for ${email}, leaving ${studentDoc.id} in place`);
+          summary.skipped.push({ docId: studentDoc.id, email, reason: "no Auth user" });
+          continue;
+        }
+      }
+
+      const result = await moveStudentDoc(db, studentDoc.id, uid, { authUid: uid, dryRun });
+      (result.action === "merge" ? summary.merged : summary.moved).push({ email, ...result });
+    } catch (error) {
+      logger.error(`Error moving student document ${studentDoc.id}:`, error.message);
+      summary.failed.push({ docId: studentDoc.id, email, error: error.message });
+    }
+  }
+
+  logger.info(
+    `${dryRun ? "Dry run: " : ""}${summary.moved.length} moved, ${summary.merged.length} merged, ${summary.skipped.length} skipped, ${summary.failed.length} failed`
+  );
+  return summary;
+}
@@ -0,0 +1,228 @@
+/**
+ * Cron expression utility
+ * Parses standard five-field cron expressions and computes their next run time
+ * in a given IANA timezone
+ */
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    aliases: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"],
+  },
+  {
+    name: "dayOfWeek",
+    min: 0,
+    max: 7,
+    aliases: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"],
+  },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Upper bound on search steps so an impossible expression (e.g. "0 0 31 2 *") cannot loop forever
+const MAX_SEARCH_STEPS = 100000;
+
+/**
+ * Convert a single field value (number or alias) to a number
+ * @param {string} value - Raw value from the expression
+ * @param {Object} field - Field definition
+ * @returns {number} - Numeric value
+ */
+function parseValue(value, field) {
+  const aliasIndex = field.aliases?.indexOf(value.toLowerCase()) ?? -1;
+  if (aliasIndex !== -1) {
+    return field.name === "month" ? aliasIndex + 1 : aliasIndex;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(
+      `${field.name} value ${number} is out of range (${field.min}-${field.max})`
+    );
+  }
+  return number;
+}
+
+/**
+ * Parse a single cron field into the set of values it matches
+ * @param {string} source - Field text (e.g. "*\/15", "1-5", "mon,wed")
+ * @param {Object} field - Field definition
+ * @returns {{ values: Set<number>, wildcard: boolean }}
+ */
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(",")) {
+    const [rangePart, stepPart] = part.split("/");
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepPart}" in ${field.name} field`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes("-")) {
+      const [from, to] = rangePart.split("-");
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range "${rangePart}" in ${field.name} field`);
+      }
+    } else {
+      start = parseValue(rangePart, field);
+      end = stepPart === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  // 7 is an alias for Sunday in the day-of-week field
+  if (field.name === "dayOfWeek" && values.has(7)) {
+    values.delete(7);
+    values.add(0);
+  }
+
+  return { values, wildcard: source === "*" };
+}
+
+/**
+ * Parse a five-field cron expression
+ * @param {string} expression - Cron expression (minute hour day_of_month month day_of_week)
+ * @returns {Object} - Parsed expression with a set of allowed values per field
+ */
+export function parseCronExpression(expression) {
+  if (typeof expression !== "string" || !expression.trim()) {
+    throw new Error("Cron expression must be a non-empty string");
+  }
+
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(
+      `Cron expression "${expression}" must have ${FIELDS.length} fields, got ${parts.length}`
+    );
+  }
+
+  const parsed = { expression: expression.trim() };
+  FIELDS.forEach((field, index) => {
+    parsed[field.name] = parseField(parts[index], field);
+  });
+  return parsed;
+}
+
+/**
+ * Check that a timezone is known to the runtime
+ * @param {string} timezone - IANA timezone name (e.g. "America/New_York")
+ * @returns {boolean} - True if the timezone is valid
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Break a date into wall-clock parts for the given timezone
+ * @param {Intl.DateTimeFormat} formatter - Formatter bound to the timezone
+ * @param {Date} date - Date to convert
+ * @returns {Object} - { month, day, weekday, hour, minute }
+ */
+function getZonedParts(formatter, date) {
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    weekday: WEEKDAYS[parts.weekday],
+    // Some runtimes render midnight as "24" with hourCycle h23 unavailable
+    hour: parseInt(parts.hour, 10) % 24,
+    minute: parseInt(parts.minute, 10),
+  };
+}
+
+/**
+ * Check whether the day fields of a parsed expression match a date.
+ * Follows standard cron semantics: when both day-of-month and day-of-week are
+ * restricted, a date matches if either field matches.
+ * @param {Object} parsed - Parsed cron expression
+ * @param {Object} parts - Zoned date parts
+ * @returns {boolean}
+ */
+function matchesDay(parsed, parts) {
+  const domMatch = parsed.dayOfMonth.values.has(parts.day);
+  const dowMatch = parsed.dayOfWeek.values.has(parts.weekday);
+
+  if (parsed.dayOfMonth.wildcard && parsed.dayOfWeek.wildcard) return true;
+  if (parsed.dayOfMonth.wildcard) return dowMatch;
+  if (parsed.dayOfWeek.wildcard) return domMatch;
+  return domMatch || dowMatch;
+}
+
+/**
+ * Compute the next time a cron expression fires strictly after a given date
+ * @param {string|Object} expression - Cron expression or result of parseCronExpression
+ * @param {Object} [options]
+ * @param {Date} [options.from] - Reference date (default: now)
+ * @param {string} [options.timezone] - IANA timezone the expression is evaluated in (default: UTC)
+ * @returns {Date} - Next run time
+ */
+export function getNextRunTime(expression, { from = new Date(), timezone = "UTC" } = {}) {
+  const parsed =
+    typeof expression === "string" ? parseCronExpression(expression) : expression;
+
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    hourCycle: "h23",
+    month: "numeric",
+    day: "numeric",
+    weekday: "short",
+    hour: "numeric",
+    minute: "numeric",
+  });
+
+  // Start at the beginning of the next whole minute
+  let candidate = new Date(Math.floor(from.getTime() / 60000) * 60000 + 60000);
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    const parts = getZonedParts(formatter, candidate);
+    let skipMinutes = 0;
+
+    if (!parsed.month.values.has(parts.month) || !matchesDay(parsed, parts)) {
+      // Jump to the next local midnight
+      skipMinutes = 24 * 60 - (parts.hour * 60 + parts.minute);
+    } else if (!parsed.hour.values.has(parts.hour)) {
+      // Jump to the next local hour
+      skipMinutes = 60 - parts.minute;
+    } else if (!parsed.minute.values.has(parts.minute)) {
+      skipMinutes = 1;
+    } else {
+      return candidate;
+    }
+
+    candidate = new Date(candidate.getTime() + skipMinutes * 60000);
+  }
+
+  throw new Error(
+    `Could not find a run time for cron expression "${parsed.expression}"`
+  );
+}
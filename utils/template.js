@@ -0,0 +1,222 @@
+/**
+ * Minimal template engine for email templates
+ *
+ * Supported syntax:
+ * - {{path.to.value}}    HTML-escaped variable
+ * - {{{path.to.value}}}  raw (unescaped) variable
+ * - {{#if path}}...{{else}}...{{/if}}
+ * - {{#unless path}}...{{/unless}}
+ * - {{#each path}}...{{/each}}  loop; inside, fields of the item are in scope,
+ *   {{this}} is the item itself and {{@index}} its zero-based position
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([^}]+?)\s*\}\}\}|\{\{\s*([#/]?)([^}]*?)\s*\}\}/g;
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Parse template source into a tree of nodes
+ * @param {string} source - Template source
+ * @returns {Array} - Parsed nodes
+ */
+function parse(source) {
+  const root = [];
+  // Each frame tracks the open block and the branch new nodes are added to
+  const stack = [{ node: null, target: root }];
+  let lastIndex = 0;
+  let match;
+
+  const frame = () => stack[stack.length - 1];
+  const pushText = (text) => {
+    if (text) frame().target.push({ type: "text", value: text });
+  };
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    pushText(source.slice(lastIndex, match.index));
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const [, rawPath, sigil, body] = match;
+
+    if (rawPath !== undefined) {
+      frame().target.push({ type: "var", path: rawPath, raw: true });
+    } else if (sigil === "#") {
+      const [block, path] = body.split(/\s+/);
+      if (!["if", "unless", "each"].includes(block) || !path) {
+        throw new Error(`Unknown template block "{{#${body}}}"`);
+      }
+      const node = { type: block, path, children: [], elseChildren: [] };
+      frame().target.push(node);
+      stack.push({ node, target: node.children });
+    } else if (sigil === "/") {
+      const { node } = stack.pop();
+      if (!node || node.type !== body.trim()) {
+        throw new Error(`Unexpected "{{/${body}}}" in template`);
+      }
+    } else if (body === "else") {
+      const current = frame();
+      if (!current.node || current.node.type === "each" || current.target === current.node.elseChildren) {
+        throw new Error("Unexpected {{else}} in template");
+      }
+      current.target = current.node.elseChildren;
+    } else {
+      frame().target.push({ type: "var", path: body, raw: false });
+    }
+  }
+
+  pushText(source.slice(lastIndex));
+
+  if (stack.length !== 1) {
+    const { node } = frame();
+    throw new Error(`Unclosed "{{#${node.type} ${node.path}}}" in template`);
+  }
+  return root;
+}
+
+/**
+ * Resolve a dotted path against a stack of scopes, innermost first
+ * @param {Array} scopes - Scope stack
+ * @param {string} path - Dotted path, "this" or "@index"
+ * @returns {*} - Resolved value, or undefined
+ */
+function lookup(scopes, path) {
+  const scope = scopes[scopes.length - 1];
+
+  if (path === "this") return scope.item;
+  if (path === "@index") return scope.index;
+
+  const [head, ...rest] = path.replace(/^this\./, "").split(".");
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const context = scopes[i].item;
+    if (context !== null && typeof context === "object" && head in context) {
+      return rest.reduce((value, key) => (value == null ? undefined : value[key]), context[head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Whether a value counts as true for {{#if}} (empty arrays are false)
+ * @param {*} value - Value to test
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render parsed nodes
+ * @param {Array} nodes - Parsed nodes
+ * @param {Array} scopes - Scope stack
+ * @param {Function} escape - Escape function for {{ }} variables
+ * @returns {string} - Rendered output
+ */
+function renderNodes(nodes, scopes, escape) {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case "text":
+          return node.value;
+        case "var": {
+          const value = lookup(scopes, node.path);
+          if (value === undefined || value === null) return "";
+          return node.raw ? String(value) : escape(value);
+        }
+        case "if":
+        case "unless": {
+          const truthy = isTruthy(lookup(scopes, node.path));
+          const show = node.type === "if" ? truthy : !truthy;
+          return renderNodes(show ? node.children : node.elseChildren, scopes, escape);
+        }
+        case "each": {
+          const list = lookup(scopes, node.path);
+          if (!Array.isArray(list)) return "";
+          return list
+            .map((item, index) =>
+              renderNodes(node.children, [...scopes, { item, index }], escape)
+            )
+            .join("");
+        }
+        default:
+          return "";
+      }
+    })
+    .join("");
+}
+
+/**
+ * Compile a template so it can be rendered repeatedly
+ * @param {string} source - Template source
+ * @param {Object} [options]
+ * @param {boolean} [options.escape] - HTML-escape {{ }} variables (default: true)
+ * @returns {Function} - (data) => rendered string
+ */
+export function compileTemplate(source, { escape = true } = {}) {
+  const nodes = parse(source);
+  const escapeFn = escape ? escapeHtml : String;
+  return (data = {}) => renderNodes(nodes, [{ item: data, index: 0 }], escapeFn);
+}
+
+const NAMED_ENTITIES = {
+  nbsp: " ",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  amp: "&",
+  mdash: "\u2014",
+  ndash: "\u2013",
+  copy: "\u00a9",
+};
+
+/**
+ * Decode HTML entities in rendered text
+ * @param {string} text - Text containing HTML entities
+ * @returns {string} - Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code.startsWith("#")) return String.fromCharCode(parseInt(code.slice(1), 10));
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Convert rendered HTML email content to a plain-text alternative
+ * @param {string} html - Rendered HTML
+ * @returns {string} - Plain text
+ */
+export function htmlToText(html) {
+  const text = html
+    .replace(/<(head|style|title)[^>]*>[\s\S]*?<\/\1>/gi, "")
+    .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (_, href, text) => {
+      const label = text.replace(/<[^>]+>/g, "").trim();
+      const target = href.replace(/^mailto:/, "");
+      return label === target ? label : `${label} (${target})`;
+    })
+    .replace(/<li[^>]*>([\s\S]*?)<\/li>/gi, (_, item) => `\n- ${item.replace(/\s+/g, " ").trim()}\n`)
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|h[1-6]|ul|ol|tr)>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .replace(/[ \t]+/g, " ")
+    .replace(/^ +| +$/gm, "")
+    .replace(/ +([,،])/g, "$1")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}